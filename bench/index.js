@@ -0,0 +1,155 @@
+// Benchmarks the interpreter on large generated programs, interpreting them
+// and compiling them (see lib/compile.js), against the reference
+// implementation in reference.js, and checks that all end in the same state.
+// Run with `npm run bench`, optionally followed by the names of the
+// benchmarks to run.
+
+const {performance} = require('perf_hooks');
+
+const {compileProgram} = require('../lib/compile');
+const {parseSortleProgram} = require('../lib/parse');
+const {SortleInterpreter} = require('../lib/runtime');
+const {seededRandom} = require('../test/helpers/random');
+const {runReference} = require('./reference');
+
+// Each benchmark generates a program with one expression per line, using
+// `expression` to generate each one's terms.
+const BENCHMARKS = [
+  {
+    // Every expression renames itself to a fixed name, so after its first
+    // step it stays in place; mostly measures finding where names go.
+    name: 'renames',
+    expressions: 10000,
+    maxSteps: 50000,
+    expression: random => `"${randomName(random, 8)}"`,
+  },
+  {
+    // Names are matched against a regex that rarely matches, so most steps
+    // try most of the names.
+    name: 'regexes',
+    expressions: 2000,
+    maxSteps: 10000,
+    expression: random => (
+      `"${randomName(random, 2)}.!" "" ? "${randomName(random, 6)}" ~`
+    ),
+  },
+  {
+    // Numbers and names both, for a program whose state keeps changing.
+    name: 'mixed',
+    expressions: 5000,
+    maxSteps: 30000,
+    expression: random => {
+      if (random() < 0.5) {
+        return `${Math.floor(random() * 1000)} ${Math.floor(random() * 1000)} +`;
+      }
+      return `"${randomName(random, 1)}.!" "" ? "${randomName(random, 4)}" ~`;
+    },
+  },
+  {
+    // A few long expressions, each evaluated many times, which is where
+    // compiling them pays off.
+    name: 'arithmetic',
+    expressions: 50,
+    maxSteps: 200000,
+    expression: random => {
+      const terms = [`"${Math.floor(random() * 10)}.!"`, '""', '?'];
+      for (let i = 0; i < 15; i++) {
+        terms.push(1 + Math.floor(random() * 100), ['+', '*', '%'][Math.floor(random() * 3)]);
+      }
+      terms.push(1000, '%', 1, '+', `"${randomName(random, 4)}"`, '~');
+      return terms.join(' ');
+    },
+  },
+];
+
+function main(argv) {
+  const names = argv.slice(2);
+  const benchmarks = names.length > 0
+    ? BENCHMARKS.filter(({name}) => names.includes(name))
+    : BENCHMARKS;
+  if (benchmarks.length === 0) {
+    console.error(`unknown benchmark; choose from: ${BENCHMARKS.map(b => b.name).join(', ')}`);
+    process.exit(1);
+  }
+
+  let allMatch = true;
+  console.log(
+    'benchmark    expressions    steps   reference     current  speedup    compiled  speedup'
+  );
+  benchmarks.forEach(benchmark => {
+    const program = parseSortleProgram(generateProgram(benchmark));
+    const {maxSteps} = benchmark;
+
+    let start = performance.now();
+    const expected = runReference(program, {maxSteps});
+    const referenceTime = performance.now() - start;
+
+    start = performance.now();
+    const actual = runCurrent(program, {maxSteps});
+    const currentTime = performance.now() - start;
+
+    // Compiling counts towards the time
+    start = performance.now();
+    const compiled = runCurrent(program, {maxSteps, evaluators: compileProgram(program)});
+    const compiledTime = performance.now() - start;
+
+    const matches = [actual, compiled].every(result => (
+      JSON.stringify(result) === JSON.stringify(expected)
+    ));
+    allMatch = allMatch && matches;
+    console.log([
+      pad(benchmark.name, -9),
+      pad(benchmark.expressions, 14),
+      pad(actual.steps, 8),
+      pad(referenceTime.toFixed(0) + ' ms', 11),
+      pad(currentTime.toFixed(0) + ' ms', 11),
+      pad((referenceTime / currentTime).toFixed(1) + 'x', 8),
+      pad(compiledTime.toFixed(0) + ' ms', 11),
+      pad((referenceTime / compiledTime).toFixed(1) + 'x', 8),
+      matches ? '' : ' DIFFERENT RESULT',
+    ].join(' '));
+  });
+
+  if (!allMatch) {
+    process.exit(1);
+  }
+}
+
+function runCurrent(program, {maxSteps, evaluators}) {
+  const interpreter = new SortleInterpreter(program, {details: false, evaluators});
+  while (!interpreter.finished && interpreter.steps < maxSteps) {
+    interpreter.step();
+  }
+  return {
+    expressions: interpreter.expressions.map(([name]) => name),
+    ip: interpreter.ip,
+    steps: interpreter.steps,
+  };
+}
+
+function generateProgram({name, expressions, expression}) {
+  // The same program every time, for comparable timings
+  const random = seededRandom(name.length * 7919 + expressions);
+  const lines = [];
+  for (let i = 0; i < expressions; i++) {
+    lines.push(`${randomName(random, 8)} := ${expression(random)}`);
+  }
+  return lines.join('\n');
+}
+
+function randomName(random, length) {
+  let name = '';
+  for (let i = 0; i < length; i++) {
+    name += String.fromCharCode(97 + Math.floor(random() * 26));
+  }
+  return name;
+}
+
+// Pads to the given width, on the left if it's positive, else on the right.
+function pad(value, width) {
+  const str = String(value);
+  const padding = ' '.repeat(Math.max(0, Math.abs(width) - str.length));
+  return width > 0 ? padding + str : str + padding;
+}
+
+main(process.argv);
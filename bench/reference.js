@@ -0,0 +1,106 @@
+// The interpreter loop as it was before program state used binary search,
+// kept as a reference for the benchmarks: it finds where to insert each
+// renamed expression with a linear search, copies the list of names for
+// every regex, and tries every name with the original recursive matcher.
+// Runs without any of the debugging features of runtime.js.
+
+const {
+  compileRegex,
+  evalSubstringRegex,
+  matchCompiledRegexRecursive,
+} = require('../lib/regex');
+const {add, multiply, sortleNumber, sortleString} = require('../lib/values');
+
+// Returns {expressions, ip, steps}, the names and instruction pointer when
+// the program finished or maxSteps was reached.
+function runReference(program, options = {}) {
+  const {strict = false, maxSteps = Infinity} = options;
+  const expressions = program.map(([name, terms]) => [name, terms]);
+  let ip = 0;
+  let steps = 0;
+  while (expressions.length > 1 && steps < maxSteps) {
+    ip = step(expressions, ip, strict);
+    steps++;
+  }
+  return {expressions: expressions.map(([name]) => name), ip, steps};
+}
+
+function step(expressions, ip, strict) {
+  const [_name, terms] = expressions[ip];
+  const newName = sortleString(evaluate(terms, expressions, ip, strict));
+  const newEntry = [newName, terms];
+
+  expressions.splice(ip, 1);
+  if (newName !== '') {
+    let indexToInsertBefore = expressions.findIndex(otherExpression => (
+      otherExpression[0] >= newName
+    ));
+    if (indexToInsertBefore === -1) {
+      indexToInsertBefore = expressions.length;
+    }
+    const clobbering = (
+      indexToInsertBefore < expressions.length &&
+      expressions[indexToInsertBefore][0] === newName
+    );
+    expressions.splice(indexToInsertBefore, clobbering ? 1 : 0, newEntry);
+    ip = indexToInsertBefore + 1;
+  }
+  if (ip === expressions.length) {
+    ip = 0;
+  }
+  return ip;
+}
+
+function evaluate(terms, expressions, ip, strict) {
+  const stack = [];
+  for (const term of terms) {
+    if (typeof term === 'string' || typeof term === 'number') {
+      stack.push(term);
+      continue;
+    }
+    const op1 = stack.pop();
+    const op2 = stack.pop();
+    if (term.value === '+') {
+      stack.push(add(sortleNumber(op1, strict), sortleNumber(op2, strict), strict));
+    } else if (term.value === '*') {
+      stack.push(multiply(sortleNumber(op1, strict), sortleNumber(op2, strict), strict));
+    } else if (term.value === '/') {
+      stack.push(Math.floor(sortleNumber(op1, strict) / sortleNumber(op2, strict)));
+    } else if (term.value === '%') {
+      stack.push(sortleNumber(op1, strict) % sortleNumber(op2, strict));
+    } else if (term.value === '^' || term.value === '$') {
+      const sop1 = sortleString(op1);
+      const sop2 = sortleString(op2);
+      stack.push(sop1 > sop2 ? sop1 : sop2);
+    } else if (term.value === '~') {
+      stack.push(sortleString(op2) + sortleString(op1));
+    } else if (term.value === '?') {
+      if (sortleString(op1) !== '') {
+        stack.push(evalSubstringRegex(sortleString(op2), expressions[ip][0]));
+        continue;
+      }
+      const expressionsToMatch =
+        expressions.slice(0, ip)
+          .reverse()
+          .concat(expressions.slice(ip + 1).reverse());
+      stack.push(evalRegex(
+        sortleString(op2),
+        expressionsToMatch.map(([name]) => name),
+      ));
+    }
+  }
+  return stack[0];
+}
+
+function evalRegex(regex, stringsToMatch) {
+  const compiledRegex = compileRegex(regex);
+  for (const str of stringsToMatch) {
+    const result = matchCompiledRegexRecursive(compiledRegex, str);
+    if (result) {
+      return result.match;
+    }
+  }
+  return '';
+}
+
+module.exports.runReference = runReference;
@@ -0,0 +1,107 @@
+// Fuzzes the parser, regex engine and runtime with random programs and
+// regexes, checking the invariants in targets.js. Run with `npm run fuzz`,
+// optionally followed by the names of the targets to run, and:
+//   --iterations=N: how many inputs to try per target (default 5000)
+//   --seed=N: seed for the inputs, to repeat a run (default random)
+//
+// The first failing input for each target is minimized and saved in
+// test/fuzz/, where the tests check that it passes from then on.
+
+const {createHash} = require('crypto');
+const {writeFileSync} = require('fs');
+const path = require('path');
+
+const {seededRandom, randomTools} = require('../test/helpers/random');
+const {minimize} = require('./minimize');
+const {TARGETS} = require('./targets');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fuzz');
+const DEFAULT_ITERATIONS = 5000;
+
+function main(argv) {
+  const names = [];
+  let iterations = DEFAULT_ITERATIONS;
+  let seed = Math.floor(Math.random() * 1000000);
+  for (const arg of argv.slice(2)) {
+    const [_arg, flag, value] = arg.match(/^--([a-z]+)=(\d+)$/) || [];
+    if (flag === 'iterations') {
+      iterations = Number(value);
+    } else if (flag === 'seed') {
+      seed = Number(value);
+    } else if (arg.startsWith('-')) {
+      console.error(`unknown option: ${arg}`);
+      process.exit(1);
+    } else {
+      names.push(arg);
+    }
+  }
+  const targets = names.length > 0
+    ? TARGETS.filter(({name}) => names.includes(name))
+    : TARGETS;
+  if (targets.length === 0) {
+    console.error(`unknown target; choose from: ${TARGETS.map(t => t.name).join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`seed ${seed}`);
+  let failed = false;
+  targets.forEach(target => {
+    const failure = fuzzTarget(target, {iterations, seed});
+    if (!failure) {
+      console.log(`${target.name}: ok, ${iterations} inputs`);
+      return;
+    }
+    failed = true;
+    const input = minimize(failure.input, candidate => checkInput(target, candidate) !== null);
+    const error = checkInput(target, input);
+    const file = saveFixture(target, input, error);
+    console.log(`${target.name}: FAILED on input ${failure.iteration + 1}`);
+    console.log(`  ${JSON.stringify(input)}`);
+    console.log(`  ${firstLine(error)}`);
+    console.log(`  saved to ${path.relative(process.cwd(), file)}`);
+  });
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+// Tries random inputs until one fails, returning {input, iteration, error},
+// or null if none do.
+function fuzzTarget(target, {iterations, seed}) {
+  const tools = randomTools(seededRandom(seed));
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const input = target.generate(tools);
+    const error = checkInput(target, input);
+    if (error) {
+      return {input, iteration, error};
+    }
+  }
+  return null;
+}
+
+// The error the target's check throws for the input, or null.
+function checkInput(target, input) {
+  try {
+    target.check(input);
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+// Saves a failing input as a regression test, named after its contents so
+// that the same failure is only saved once.
+function saveFixture(target, input, error) {
+  const hash = createHash('sha1').update(JSON.stringify(input)).digest('hex');
+  const file = path.join(FIXTURES_DIR, `${target.name}-${hash.slice(0, 8)}.json`);
+  const fixture = {target: target.name, input, error: firstLine(error)};
+  writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+  return file;
+}
+
+function firstLine(error) {
+  return `${error.name}: ${error.message.split('\n')[0]}`;
+}
+
+main(process.argv);
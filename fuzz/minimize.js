@@ -0,0 +1,64 @@
+// Shrinks a failing input, so that it shows the failure with as little as
+// possible else going on. Inputs are plain JSON: strings are shrunk by
+// deleting pieces of them, arrays by dropping elements and shrinking the
+// rest, and objects by shrinking each value.
+
+const MAX_ATTEMPTS = 5000;
+
+// Returns the smallest input found for which `fails` still returns true.
+function minimize(input, fails) {
+  let attempts = 0;
+  const tryInput = candidate => attempts++ < MAX_ATTEMPTS && fails(candidate);
+  return shrink(input, tryInput);
+}
+
+// Shrinks `value`, where `accepts` says whether a smaller value still fails.
+function shrink(value, accepts) {
+  if (typeof value === 'string') {
+    return shrinkString(value, accepts);
+  } else if (Array.isArray(value)) {
+    return shrinkArray(value, accepts);
+  } else if (value !== null && typeof value === 'object') {
+    let shrunk = value;
+    Object.keys(value).forEach(key => {
+      const withValue = keyValue => ({...shrunk, [key]: keyValue});
+      shrunk = withValue(shrink(shrunk[key], keyValue => accepts(withValue(keyValue))));
+    });
+    return shrunk;
+  }
+  return value;
+}
+
+// Deletes ever smaller pieces of the string, for as long as that helps.
+function shrinkString(str, accepts) {
+  for (let size = Math.max(1, Math.floor(str.length / 2)); size >= 1; size = Math.floor(size / 2)) {
+    for (let start = 0; start < str.length;) {
+      const candidate = str.slice(0, start) + str.slice(start + size);
+      if (accepts(candidate)) {
+        str = candidate;
+      } else {
+        start += size;
+      }
+    }
+  }
+  return str;
+}
+
+function shrinkArray(array, accepts) {
+  let shrunk = array;
+  for (let i = 0; i < shrunk.length;) {
+    const candidate = [...shrunk.slice(0, i), ...shrunk.slice(i + 1)];
+    if (accepts(candidate)) {
+      shrunk = candidate;
+    } else {
+      i++;
+    }
+  }
+  shrunk.forEach((_element, i) => {
+    const withElement = element => Object.assign([...shrunk], {[i]: element});
+    shrunk = withElement(shrink(shrunk[i], element => accepts(withElement(element))));
+  });
+  return shrunk;
+}
+
+module.exports.minimize = minimize;
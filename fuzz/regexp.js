@@ -0,0 +1,101 @@
+// A reference implementation of Sortle regexes, which translates them to
+// JavaScript regular expressions with lazy quantifiers, to check lib/regex.js
+// against. It only handles regexes whose meaning the spec makes clear:
+// a sequence of elements, each a character, a . matching any character, a
+// [] group or at most one () group, and each followed by at most one ! (one
+// or more times) or @ (zero or one times). Groups can't be nested and
+// can't contain modifiers.
+
+// Returns a RegExp matching whole strings the way the Sortle regex does,
+// with one capturing group if the Sortle regex has one. Throws on a regex
+// outside of the subset above.
+function toRegExp(regex) {
+  let source = '';
+  let capturing = false;
+  // The last element, which a modifier applies to
+  let last = null;
+
+  const flush = () => {
+    if (last) {
+      source += last.capturing ? `(${last.source})` : last.source;
+      last = null;
+    }
+  };
+
+  for (let i = 0; i < regex.length; i++) {
+    const chr = regex[i];
+    if (chr === '!' || chr === '@') {
+      if (!last || last.modified) {
+        throw new Error(`unsupported modifier at ${i} in ${regex}`);
+      }
+      last.source = `(?:${last.source})${chr === '!' ? '+?' : '??'}`;
+      last.modified = true;
+      continue;
+    }
+    flush();
+    if (chr === '[' || chr === '(') {
+      const close = regex.indexOf(chr === '[' ? ']' : ')', i);
+      const chars = close === -1 ? null : regex.slice(i + 1, close);
+      if (chars === null || /[[\]()!@]/.test(chars) || (chr === '(' && capturing)) {
+        throw new Error(`unsupported group at ${i} in ${regex}`);
+      }
+      capturing = capturing || chr === '(';
+      last = {source: translateChars(chars), capturing: chr === '(', modified: false};
+      i = close;
+    } else if (chr === ']' || chr === ')') {
+      throw new Error(`unsupported ${chr} at ${i} in ${regex}`);
+    } else {
+      last = {source: translateChars(chr), capturing: false, modified: false};
+    }
+  }
+  flush();
+  return new RegExp(`^${source}$`);
+}
+
+function translateChars(chars) {
+  return chars.replace(/./g, chr => (
+    chr === '.' ? '[^]' : chr.replace(/[\\^$*+?.()|[\]{}\/-]/g, '\\$&')
+  ));
+}
+
+// What the regex gives for a string, as matchCompiledRegex: the capture, or
+// the whole string if there's no capturing group, or undefined.
+function matchRegExp(regExp, str) {
+  const matches = regExp.exec(str);
+  if (!matches) {
+    return undefined;
+  }
+  return matches.length > 1 ? matches[1] : matches[0];
+}
+
+// Like evalRegex in lib/regex.js.
+function evalReference(regex, stringsToMatch) {
+  const regExp = toRegExp(regex);
+  for (const str of stringsToMatch) {
+    const result = matchRegExp(regExp, str);
+    if (result !== undefined) {
+      return result;
+    }
+  }
+  return '';
+}
+
+// Like evalSubstringRegex in lib/regex.js: leftmost, then shortest,
+// non-empty substring.
+function evalSubstringReference(regex, str) {
+  const regExp = toRegExp(regex);
+  for (let start = 0; start < str.length; start++) {
+    for (let end = start + 1; end <= str.length; end++) {
+      const result = matchRegExp(regExp, str.substring(start, end));
+      if (result !== undefined) {
+        return result;
+      }
+    }
+  }
+  return '';
+}
+
+module.exports.toRegExp = toRegExp;
+module.exports.matchRegExp = matchRegExp;
+module.exports.evalReference = evalReference;
+module.exports.evalSubstringReference = evalSubstringReference;
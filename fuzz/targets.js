@@ -0,0 +1,263 @@
+// What the fuzzer tests. Each target generates random inputs, as plain JSON
+// so that failing ones can be saved, and checks invariants on them. A check
+// throws if an invariant doesn't hold; Sortle errors (syntax errors, runtime
+// errors and so on) are expected, and are caught by the check itself, so
+// any other exception is a failure.
+
+const assert = require('assert');
+
+const {compileProgram} = require('../lib/compile');
+const {isSortleError} = require('../lib/errors');
+const {formatSortleProgram} = require('../lib/format');
+const {lintSortleProgram} = require('../lib/lint');
+const {parseSortleProgram, parseSortleProgramWithErrors} = require('../lib/parse');
+const {
+  compileRegex,
+  evalRegex,
+  evalSubstringRegex,
+  matchCompiledRegex,
+  matchCompiledRegexRecursive,
+} = require('../lib/regex');
+const {SortleInterpreter} = require('../lib/runtime');
+const {
+  MAX_STEPS,
+  NAMES,
+  outcome,
+  randomProgram,
+  randomTerms,
+} = require('../test/helpers/programs');
+const {
+  evalReference,
+  evalSubstringReference,
+  matchRegExp,
+  toRegExp,
+} = require('./regexp');
+
+// Pieces of Sortle source, valid and not, including escapes split across
+// continuation lines and strings left open.
+const SOURCE_PIECES = [
+  ...NAMES, ':=', ' ', '  ', '\t', '\n', '\\\n', '\\', '#', '# comment',
+  '"x"', '""', '"\\41"', '"\\4', '"\\4\\\n1"', '"\\zz"', '"é"', '"\\e9"',
+  '"', '007', '0', '12', '4294967296', '+', '~', '?', '$', '&', 'x1',
+];
+
+// The parser, linter and formatter, on code that is often invalid.
+const parser = {
+  name: 'parser',
+
+  generate(tools) {
+    const {int, pick, repeat} = tools;
+    const line = () => {
+      if (int(0, 3) === 0) {
+        return repeat(1, 8, () => pick(SOURCE_PIECES)).join('');
+      }
+      const separators = [' ', ' ', '  ', ' \\\n', ' \\\n  ', ''];
+      return pick(NAMES) + pick([' ', ' \\\n ']) + ':=' +
+        randomTerms(tools).map(term => pick(separators) + term).join('') +
+        pick(['', '', ' # comment', ' \\']);
+    };
+    return {code: repeat(1, 6, line).join(pick(['\n', '\n', '\n\n', '\n  ']))};
+  },
+
+  check({code}) {
+    const lines = code.split('\n');
+    [false, true].forEach(strict => {
+      const {program, errors} = parseSortleProgramWithErrors(code, {strict});
+      errors.forEach(error => {
+        assert.strictEqual(error.name, 'SortleSyntaxError');
+        assert(
+          error.row < lines.length && error.col <= lines[error.row].length,
+          `error out of range: ${error.row}:${error.col}`
+        );
+      });
+      assertSortedNames(program.map(([name]) => name));
+
+      let thrown = null;
+      try {
+        parseSortleProgram(code, {strict});
+      } catch (err) {
+        thrown = err;
+      }
+      assert.deepStrictEqual(
+        thrown && {message: thrown.message, span: thrown.span},
+        errors.length > 0 ? {message: errors[0].message, span: errors[0].span} : null
+      );
+
+      lintSortleProgram(code, {strict});
+    });
+
+    let formatted;
+    try {
+      formatted = formatSortleProgram(code);
+    } catch (err) {
+      if (isSortleError(err)) {
+        return;
+      }
+      throw err;
+    }
+    [false, true].forEach(strict => {
+      const options = {strict, duplicates: 'clobber'};
+      const parse = source => parseSortleProgram(source, options)
+        .map(([name, terms]) => [name, terms]);
+      assert.deepStrictEqual(parse(formatted), parse(code), 'formatting changed the program');
+    });
+    assert.strictEqual(formatSortleProgram(formatted), formatted, 'formatting is not idempotent');
+  },
+};
+
+// The regex engine, against the reference translation to JavaScript regexes
+// in regexp.js, and against the original recursive matcher.
+const regex = {
+  name: 'regex',
+
+  generate({int, pick, repeat}) {
+    const chars = () => repeat(0, 3, () => pick(['a', 'b', '.'])).join('');
+    let regexSource;
+    if (int(0, 4) === 0) {
+      // Anything goes, including what the spec doesn't define
+      regexSource = repeat(0, 8, () => pick(['a', '.', '!', '@', '[', ']', '(', ')', 'ab'])).join('');
+    } else {
+      regexSource = repeat(0, 5, () => pick([
+        'a', 'b', '.', `[${chars()}]`, `(${chars()})`,
+      ]) + pick(['', '', '!', '@'])).join('');
+    }
+    const strings = repeat(1, 5, () => repeat(0, 6, () => pick(['a', 'b', 'c'])).join(''));
+    return {regex: regexSource, strings};
+  },
+
+  check({regex: regexSource, strings}) {
+    let compiled;
+    try {
+      compiled = compileRegex(regexSource);
+    } catch (err) {
+      if (isSortleError(err)) {
+        return;
+      }
+      throw err;
+    }
+    let regExp = null;
+    try {
+      regExp = toRegExp(regexSource);
+    } catch (err) {
+      // Not in the subset the reference understands
+    }
+
+    const where = `${JSON.stringify(regexSource)} against`;
+    strings.forEach(str => {
+      const actual = matchCompiledRegex(compiled, str);
+      const recursive = matchCompiledRegexRecursive(compiled, str);
+      assertSame(actual, recursive ? recursive.match : undefined, 'recursive', `${where} ${JSON.stringify(str)}`);
+      if (regExp) {
+        assertSame(actual, matchRegExp(regExp, str), 'reference', `${where} ${JSON.stringify(str)}`);
+      }
+    });
+    if (regExp) {
+      assertSame(
+        evalRegex(regexSource, strings),
+        evalReference(regexSource, strings),
+        'reference',
+        `evalRegex ${where} ${JSON.stringify(strings)}`
+      );
+      const str = strings.join('');
+      assertSame(
+        evalSubstringRegex(regexSource, str),
+        evalSubstringReference(regexSource, str),
+        'reference',
+        `evalSubstringRegex ${where} ${JSON.stringify(str)}`
+      );
+    }
+  },
+};
+
+// Runs valid programs, checking the program state after every step.
+const runtime = {
+  name: 'runtime',
+
+  generate(tools) {
+    return {code: randomProgram(tools), strict: tools.int(0, 1) === 1};
+  },
+
+  check({code, strict}) {
+    let program;
+    try {
+      program = parseSortleProgram(code, {strict, duplicates: 'clobber'});
+    } catch (err) {
+      if (isSortleError(err)) {
+        return;
+      }
+      throw err;
+    }
+    if (program.length === 0) {
+      return;
+    }
+    const interpreter = new SortleInterpreter(program, {strict, details: true});
+    while (!interpreter.finished && interpreter.steps < MAX_STEPS) {
+      let record;
+      try {
+        record = interpreter.step();
+      } catch (err) {
+        if (isSortleError(err)) {
+          return;
+        }
+        throw err;
+      }
+      const {expressions, ip} = interpreter;
+      const step = `after step ${interpreter.steps}`;
+      assertSortedNames(expressions.map(([name]) => name), step);
+      const ids = expressions.map(([_name, _terms, id]) => id);
+      assert.strictEqual(new Set(ids).size, ids.length, `${step}: duplicate ids`);
+      assert(ids.every(id => expressions[ids.indexOf(id)][1] === program[id][1]), `${step}: wrong terms`);
+      assert.strictEqual(record.newIP, ip, `${step}: wrong ip`);
+      assert(ip >= 0 && ip < expressions.length, `${step}: ip ${ip} out of range`);
+      assert.strictEqual(record.stacks.length, program[record.id][1].length, `${step}: missing stacks`);
+    }
+  },
+};
+
+// Runs valid programs both interpreted and compiled to JavaScript (see
+// lib/compile.js), checking that they give the same output, or stop with
+// the same error.
+const compile = {
+  name: 'compile',
+
+  generate: runtime.generate,
+
+  check({code, strict}) {
+    let program;
+    try {
+      program = parseSortleProgram(code, {strict, duplicates: 'clobber'});
+    } catch (err) {
+      if (isSortleError(err)) {
+        return;
+      }
+      throw err;
+    }
+    if (program.length === 0) {
+      return;
+    }
+    const evaluators = compileProgram(program, {strict});
+    assert.deepStrictEqual(
+      outcome(program, {strict, evaluators}),
+      outcome(program, {strict}),
+      'compiled program gives a different outcome'
+    );
+  },
+};
+
+function assertSame(actual, expected, expectedFrom, where) {
+  assert.strictEqual(
+    actual,
+    expected,
+    `${where}: got ${JSON.stringify(actual)}, ${expectedFrom} gives ${JSON.stringify(expected)}`
+  );
+}
+
+function assertSortedNames(names, where = 'names') {
+  names.forEach((name, i) => {
+    assert(i === 0 || names[i - 1] < name, `${where}: not sorted: ${names.join(' ')}`);
+  });
+}
+
+const TARGETS = [parser, regex, runtime, compile];
+
+module.exports.TARGETS = TARGETS;
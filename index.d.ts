@@ -0,0 +1,207 @@
+// Type declarations for the API in index.js. The shapes of programs and
+// program states are described in more detail at the top of lib/runtime.js.
+
+import {EventEmitter} from 'events';
+
+// A value on the stack, and the name of an expression, are one of these.
+export type Value = number | string;
+
+export type Operator = '+' | '*' | '/' | '%' | '^' | '~' | '?' | '$';
+
+export type Term = Value | {type: 'operator', value: Operator};
+
+export type Expression = Term[];
+
+// Rows and columns are counted from 0, and the end is exclusive.
+export interface SourceSpan {
+  row: number;
+  col: number;
+  endRow: number;
+  endCol: number;
+}
+
+// Where a parsed expression came from: from the start of its name to the end
+// of its last term, and where each term is.
+export interface ExpressionSource extends SourceSpan {
+  terms: SourceSpan[];
+}
+
+// A program as parsed, sorted by name: [name, expression, source]. The
+// source is null for expressions added for inputs.
+export type Program = Array<[string, Expression, ExpressionSource | null]>;
+
+// The program state while running, sorted by name: [name, expression, id],
+// where id is the expression's index in the program, however it has been
+// renamed.
+export type ProgramState = Array<[string, Expression, number]>;
+
+// What's needed to carry on from some point in a program.
+export interface SavedState {
+  expressions: Array<[string, number]>;
+  ip: number;
+  steps: number;
+}
+
+export interface Warning {
+  code: 'duplicate-name';
+  message: string;
+  row: number;
+  col: number;
+  firstDefinition: {row: number, col: number};
+}
+
+export interface ParseOptions {
+  // Byte strings and modulo 2**32 arithmetic, as the spec says.
+  strict?: boolean;
+  // What to do about two expressions with the same name. Default 'warn'.
+  duplicates?: 'warn' | 'clobber' | 'error';
+  onWarning?: (warning: Warning) => void;
+}
+
+export interface RegexMatch {
+  regex: string;
+  // The expression's own name, for the substring form of ?, else null.
+  subject: string | null;
+  // Strings considered, in order.
+  candidates: string[];
+  // Indices in candidates of the strings not tried, since they don't begin
+  // with the regex's literal prefix.
+  skipped: number[];
+  matched: string | null;
+  result: string;
+}
+
+export interface StepRecord {
+  step: number;
+  id: number;
+  ip: number;
+  oldName: string;
+  newName: string;
+  action: 'renamed' | 'deleted' | 'clobbered';
+  clobberedId?: number;
+  newIP: number;
+  // Only with the details option.
+  stacks?: Value[][];
+  regexMatches?: RegexMatch[];
+}
+
+export interface TermEvent {
+  index: number;
+  term: Term;
+  // The stack after applying the term.
+  stack: Value[];
+  regexMatch: RegexMatch | null;
+}
+
+export interface Limits {
+  maxSteps?: number;
+  timeout?: number;
+  signal?: AbortSignal;
+}
+
+// A value given to a program when it's run, added to it as an expression
+// `name := "value"`, replacing any expression of the same name.
+export interface Input {
+  name: string;
+  value: string;
+}
+
+export interface RunOptions extends ParseOptions, Limits {
+  inputs?: Input[];
+  onStep?: (record: StepRecord, expressions: ProgramState) => void;
+  // Where to resume from, instead of the beginning.
+  state?: SavedState;
+}
+
+export interface InterpreterOptions extends ParseOptions {
+  inputs?: Input[];
+  details?: boolean;
+}
+
+export function parse(code: string, options?: ParseOptions): Program;
+
+export function run(program: string | Program, options?: RunOptions): string;
+
+export function createInterpreter(
+  program: string | Program,
+  options?: InterpreterOptions,
+): Interpreter;
+
+export class Interpreter extends EventEmitter {
+  constructor(program: Program, options?: InterpreterOptions);
+  readonly expressions: ProgramState;
+  readonly ip: number;
+  readonly steps: number;
+  readonly finished: boolean;
+  readonly result: string | null;
+  origName(id: number): string;
+  step(): StepRecord;
+  run(options?: Limits): string;
+  peek(): string;
+  saveState(): SavedState;
+  restoreState(state: SavedState): void;
+
+  on(event: 'step', listener: (record: StepRecord, expressions: ProgramState) => void): this;
+  on(event: 'term', listener: (event: TermEvent) => void): this;
+  on(event: 'finish', listener: (result: string) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export function isSortleError(err: any): err is SortleError;
+
+export class SortleError extends Error {
+  name: string;
+  // Where in the source the error is, if known.
+  span: SourceSpan | null;
+}
+
+export class SortleSyntaxError extends SortleError {
+  name: 'SortleSyntaxError';
+  span: SourceSpan;
+  row: number;
+  col: number;
+  expected: string;
+  received: string | null;
+  // For a duplicate expression name.
+  firstDefinition: {row: number, col: number} | null;
+}
+
+// Where a program went wrong. These, and span, are only set once an
+// interpreter has caught the error.
+interface EvaluationErrorFields {
+  termIndex: number | null;
+  expressionName: string | null;
+  origName: string | null;
+  step: number | null;
+}
+
+export class SortleRuntimeError extends SortleError {
+  name: 'SortleRuntimeError';
+}
+export interface SortleRuntimeError extends EvaluationErrorFields {}
+
+export class SortleRegexError extends SortleError {
+  name: 'SortleRegexError';
+  regex: string;
+}
+export interface SortleRegexError extends EvaluationErrorFields {}
+
+export class SortleLimitError extends SortleError {
+  name: 'SortleLimitError';
+  reason: 'steps' | 'timeout' | 'aborted';
+  steps: number;
+  expressions: ProgramState;
+  ip: number;
+  // To resume from.
+  state: SavedState;
+}
+
+export class SortleSnapshotError extends SortleError {
+  name: 'SortleSnapshotError';
+}
+
+export class SortleInputError extends SortleError {
+  name: 'SortleInputError';
+  // The name of the input that isn't valid.
+  inputName: string;
+}
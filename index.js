@@ -0,0 +1,165 @@
+// The library's public API, for running Sortle programs from JavaScript.
+// Everything else is internal, and may change between versions. Types are
+// described in index.d.ts.
+
+const EventEmitter = require('events');
+
+const {SortleError, isSortleError} = require('./lib/errors');
+const {addInputs, SortleInputError} = require('./lib/inputs');
+const {parseSortleProgram, SortleSyntaxError} = require('./lib/parse');
+const {SortleRegexError} = require('./lib/regex');
+const {
+  runProgram,
+  SortleInterpreter,
+  SortleLimitError,
+  SortleRuntimeError,
+} = require('./lib/runtime');
+const {SortleSnapshotError} = require('./lib/snapshot');
+
+// Parses Sortle code into a program. Takes the options of
+// parseSortleProgram (see lib/parse.js): strict, duplicates and onWarning.
+//
+// Throws a SortleSyntaxError for the first error in the code.
+function parse(code, options = {}) {
+  return parseSortleProgram(code, options);
+}
+
+// Runs a program, given as code or as returned by parse, and returns its
+// output. Takes the options of parse, and of runProgram (see
+// lib/runtime.js): strict, maxSteps, timeout, signal, onStep and state, and:
+//   inputs: an array of {name, value} to add to the program as expressions
+//     (see lib/inputs.js).
+//
+// Throws a SortleSyntaxError if the code doesn't parse, a SortleInputError
+// if an input's name isn't valid, a SortleRuntimeError or SortleRegexError
+// if the program goes wrong, or a SortleLimitError if it runs past a limit.
+function run(program, options = {}) {
+  return runProgram(toProgram(program, options), options);
+}
+
+// Returns an Interpreter to run a program, given as code or as returned by
+// parse, a step at a time. Takes the options of parse, and:
+//   strict, inputs: as for run.
+//   details: if true, step records include the stack after each term and
+//     the regex matches attempted (see stepThroughProgram in
+//     lib/runtime.js). Default false.
+function createInterpreter(program, options = {}) {
+  return new Interpreter(toProgram(program, options), options);
+}
+
+function toProgram(program, options) {
+  const parsed = typeof program === 'string' ? parse(program, options) : program;
+  return options.inputs ? addInputs(parsed, options.inputs, options) : parsed;
+}
+
+// Runs a program, emitting events as it goes:
+//   'step' (record, expressions): after each step, with the step record and
+//     the program state.
+//   'term' (event): as each term is applied, with {index, term, stack,
+//     regexMatch}. Evaluating is slower while anything listens for these.
+//   'finish' (result): once the program has finished, with its output.
+class Interpreter extends EventEmitter {
+  constructor(program, options = {}) {
+    super();
+    const {strict = false, details = false} = options;
+    this._interpreter = new SortleInterpreter(program, {strict, details});
+    this._emitTerm = event => this.emit('term', event);
+  }
+
+  // The program state: an array of [name, expression, id].
+  get expressions() {
+    return this._interpreter.expressions;
+  }
+
+  // Index in expressions of the expression to evaluate next.
+  get ip() {
+    return this._interpreter.ip;
+  }
+
+  // Number of steps taken so far.
+  get steps() {
+    return this._interpreter.steps;
+  }
+
+  get finished() {
+    return this._interpreter.finished;
+  }
+
+  // The program's output once it has finished, else null.
+  get result() {
+    return this._interpreter.result;
+  }
+
+  // The name the expression with the given id had in the program.
+  origName(id) {
+    return this._interpreter.origName(id);
+  }
+
+  // Evaluates one expression and returns its step record. Throws a
+  // SortleRuntimeError or SortleRegexError if it goes wrong, in which case
+  // the step isn't taken.
+  step() {
+    this._updateTermHook();
+    const record = this._interpreter.step();
+    this._stepped(record);
+    return record;
+  }
+
+  // Steps until the program finishes, and returns its output. Takes the
+  // maxSteps, timeout and signal options of run, with maxSteps counting
+  // from the current step, and throws the same errors.
+  run(options = {}) {
+    const {maxSteps, timeout, signal} = options;
+    this._updateTermHook();
+    return this._interpreter.run({
+      maxSteps,
+      timeout,
+      signal,
+      onStep: record => this._stepped(record),
+    });
+  }
+
+  // Evaluates the next expression without taking the step, and returns the
+  // name it would be given. Emits 'term' events like a step.
+  peek() {
+    return this._interpreter.peek(this.listenerCount('term') > 0 ? this._emitTerm : null);
+  }
+
+  // The state needed to carry on from this point: {expressions: Array<[name,
+  // id]>, ip, steps}.
+  saveState() {
+    return this._interpreter.saveState();
+  }
+
+  // Carries on from a state returned by saveState, for the same program.
+  restoreState(state) {
+    this._interpreter.restoreState(state);
+  }
+
+  // Only reports terms if something is listening, since it's slower.
+  _updateTermHook() {
+    this._interpreter.options.onTerm = (
+      this.listenerCount('term') > 0 ? this._emitTerm : null
+    );
+  }
+
+  _stepped(record) {
+    this.emit('step', record, this.expressions);
+    if (this.finished) {
+      this.emit('finish', this.result);
+    }
+  }
+}
+
+module.exports.parse = parse;
+module.exports.run = run;
+module.exports.createInterpreter = createInterpreter;
+module.exports.Interpreter = Interpreter;
+module.exports.isSortleError = isSortleError;
+module.exports.SortleError = SortleError;
+module.exports.SortleSyntaxError = SortleSyntaxError;
+module.exports.SortleRuntimeError = SortleRuntimeError;
+module.exports.SortleRegexError = SortleRegexError;
+module.exports.SortleLimitError = SortleLimitError;
+module.exports.SortleSnapshotError = SortleSnapshotError;
+module.exports.SortleInputError = SortleInputError;
@@ -0,0 +1,70 @@
+const {compileRegex, matchCompiledRegex} = require('./regex');
+
+// Breakpoints for the debugger, described like:
+// {
+//   expressions: Array<string>, // original names; break before evaluating
+//   onDelete: boolean, // break after a step that deletes an expression
+//   onClobber: boolean, // break after a step that clobbers an expression
+//   conditions: Array<string>, // Sortle regexes; break after a step that
+//                              // renames an expression to a name matching
+//                              // one of them
+// }
+//
+// The checks below return null if execution should go on, or else the cause
+// of the break, one of:
+//   {type: 'expression', id: number}
+//   {type: 'deleted', id: number}
+//   {type: 'clobbered', id: number, clobberedId: number}
+//   {type: 'condition', id: number, regex: string}
+// where `id` is the id of the expression to point out.
+
+function emptyBreakpoints() {
+  return {
+    expressions: [],
+    onDelete: false,
+    onClobber: false,
+    conditions: [],
+  };
+}
+
+// Throws a SortleRegexError if a condition is not a valid regex.
+function validateCondition(regex) {
+  compileRegex(regex);
+}
+
+// Check before evaluating the current expression.
+function checkBeforeStep(breakpoints, interpreter) {
+  const [_name, _terms, id] = interpreter.expressions[interpreter.ip];
+  if (breakpoints.expressions.includes(interpreter.origName(id))) {
+    return {type: 'expression', id};
+  }
+  return null;
+}
+
+// Check after a step, given its record.
+function checkAfterStep(breakpoints, record) {
+  if (breakpoints.onDelete && record.action === 'deleted') {
+    return {type: 'deleted', id: record.id};
+  }
+  if (breakpoints.onClobber && record.action === 'clobbered') {
+    return {type: 'clobbered', id: record.id, clobberedId: record.clobberedId};
+  }
+  // A step only changes the name of the expression it evaluates, so that is
+  // the only one that can come to match a condition. Checking just its new
+  // name also means a condition doesn't break again after every step while
+  // some other name matches, which would keep Continue from getting anywhere.
+  // Renaming to the same name doesn't count, but clobbering does.
+  if (record.action !== 'deleted' && record.newName !== record.oldName) {
+    for (const regex of breakpoints.conditions) {
+      if (matchCompiledRegex(compileRegex(regex), record.newName) != null) {
+        return {type: 'condition', id: record.id, regex};
+      }
+    }
+  }
+  return null;
+}
+
+module.exports.emptyBreakpoints = emptyBreakpoints;
+module.exports.validateCondition = validateCondition;
+module.exports.checkBeforeStep = checkBeforeStep;
+module.exports.checkAfterStep = checkAfterStep;
@@ -0,0 +1,353 @@
+// Compiles Sortle expressions to JavaScript functions, as a faster
+// alternative to interpreting their terms with evaluate() in runtime.js.
+//
+// Every operator pops two values and pushes one, and always gives a number
+// or always a string, so the stack depth at each term and the type of every
+// value are known ahead of time. So each value gets its own variable,
+// conversions are only made where needed, operators applied to literals are
+// worked out at compile time, and regex literals have their literal prefixes
+// found at compile time. Compiled expressions give the same results, and throw the same
+// errors, as interpreted ones.
+
+const {readFileSync} = require('fs');
+const path = require('path');
+
+const regex = require('./regex');
+const runtime = require('./runtime');
+const values = require('./values');
+
+const {applyTerm, namesToMatch, SortleRuntimeError} = runtime;
+const {regexPrefix} = regex;
+const {sortleNumber, sortleString} = values;
+
+// Modules the compiled code depends on, and which a standalone script has
+// to include. runtime.js depends on the others.
+const RUNTIME_MODULES = ['./errors', './values', './regex', './runtime'];
+
+// What compiled code can use, besides the names defined in factorySource.
+const HELPER_NAMES = [
+  'sortleNumber',
+  'sortleString',
+  'evalRegex',
+  'evalSubstringRegex',
+  'regexPrefix',
+  'namesToMatch',
+  'SortleRuntimeError',
+];
+
+// Returns an array of functions, one per expression of the program, to pass
+// to runProgram as the evaluators option. Each is called with the program
+// state and the instruction pointer, and returns the expression's value.
+//
+// Options:
+//   strict: as for runProgram. Must match the options the program is run
+//     with.
+function compileProgram(program, options = {}) {
+  const factory = new Function('helpers', factorySource(program, options));
+  return factory({...values, ...regex, namesToMatch, SortleRuntimeError});
+}
+
+// Returns the source of a standalone Node script that runs the program and
+// prints its output, like `sortle`. It includes the parts of the runtime it
+// needs, so doesn't depend on this package.
+//
+// Options:
+//   strict: as for compileProgram.
+//   filename: name of the source file, for error messages.
+function compileToScript(program, options = {}) {
+  const {strict = false, filename = 'program.sort'} = options;
+  const modules = RUNTIME_MODULES.map(name => {
+    const source = readFileSync(path.join(__dirname, name + '.js'), 'utf8');
+    return `  ${JSON.stringify(name)}: function (module, exports, require) {\n` +
+      `${source}\n  },`;
+  });
+  const programSource = program
+    .map(([name, terms, source]) => (
+      `  [${JSON.stringify(name)}, [${terms.map(termSource).join(', ')}], ` +
+      `${JSON.stringify(source || null)}],`
+    ));
+
+  return `#!/usr/bin/env node
+// Compiled from ${filename} by \`sortle compile\`${strict ? ' --strict' : ''}.
+
+const modules = {
+${modules.join('\n')}
+};
+
+const moduleCache = {};
+function requireModule(name) {
+  if (!moduleCache[name]) {
+    const module = {exports: {}};
+    moduleCache[name] = module;
+    modules[name](module, module.exports, requireModule);
+  }
+  return moduleCache[name].exports;
+}
+
+const values = requireModule('./values');
+const regex = requireModule('./regex');
+const runtime = requireModule('./runtime');
+const helpers = Object.assign({}, values, regex, {
+  namesToMatch: runtime.namesToMatch,
+  SortleRuntimeError: runtime.SortleRuntimeError,
+});
+
+const program = [
+${programSource.join('\n')}
+];
+
+const evaluators = (function (helpers) {
+${factorySource(program, options)}
+})(helpers);
+
+let output;
+try {
+  output = runtime.runProgram(program, {strict: ${strict}, evaluators});
+} catch (e) {
+  if (e.name !== 'SortleRuntimeError' && e.name !== 'SortleRegexError') {
+    throw e;
+  }
+  const where = e.span ? \`\${e.span.row + 1}:\${e.span.col + 1}: \` : '';
+  console.error(\`${filename}:\${where}error: \${e.message}\`);
+  console.error(\`  in expression \${e.origName}, at step \${e.step}\`);
+  if (e.name === 'SortleRegexError') {
+    console.error(\`  when evaluating regex: \${e.regex}\`);
+  }
+  process.exit(1);
+}
+${strict
+  ? "process.stdout.write(Buffer.from(output + '\\n', 'latin1'));"
+  : 'console.log(output);'}
+`;
+}
+
+// The body of a function that takes the helpers and returns the array of
+// compiled expressions.
+function factorySource(program, options) {
+  const expressionSources = program.map(([_name, terms]) => (
+    compileExpression(terms, options)
+  ));
+  return `const {${HELPER_NAMES.join(', ')}} = helpers;
+
+// A runtime error at the given term, or at none if it's null
+function fail(message, termIndex) {
+  const err = new SortleRuntimeError(message);
+  err.termIndex = termIndex;
+  return err;
+}
+
+// Says which term an error from a runtime function happened at, as
+// evaluate() does.
+function atTerm(err, termIndex) {
+  const isSortleError = (
+    err.name === 'SortleRuntimeError' || err.name === 'SortleRegexError'
+  );
+  if (isSortleError && err.termIndex == null) {
+    err.termIndex = termIndex;
+  }
+  return err;
+}
+
+return [
+${expressionSources.map(source => source + ',').join('\n')}
+];`;
+}
+
+// Returns the source of a function (expressions, ip) => value evaluating
+// the given terms.
+function compileExpression(terms, options = {}) {
+  const {strict = false} = options;
+  const lines = [];
+  // Each value is {code, type, constant, value}: a literal or a variable
+  // name, 'number' or 'string', and whether it's known at compile time
+  const stack = [];
+  let variableCount = 0;
+  // Whether any term may throw, needing the error to say which term
+  let mayThrow = false;
+
+  const constant = value => ({
+    code: literal(value),
+    type: typeof value,
+    constant: true,
+    value,
+  });
+  const assign = (code, type) => {
+    const name = `v${variableCount++}`;
+    lines.push(`const ${name} = ${code};`);
+    return {code: name, type, constant: false};
+  };
+  const number = operand => {
+    if (operand.constant) {
+      return literal(sortleNumber(operand.value, strict));
+    }
+    return operand.type === 'number'
+      ? operand.code
+      : `sortleNumber(${operand.code}, ${strict})`;
+  };
+  const string = operand => {
+    if (operand.constant) {
+      return literal(sortleString(operand.value));
+    }
+    return operand.type === 'string' ? operand.code : `sortleString(${operand.code})`;
+  };
+  // Like string(), but for use more than once: a literal or a variable
+  const stringOperand = operand => (
+    operand.constant || operand.type === 'string'
+      ? string(operand)
+      : assign(string(operand), 'string').code
+  );
+
+  // Compiles terms until one is sure to throw; returns false if one is.
+  const compileTerms = () => {
+    for (const [index, term] of terms.entries()) {
+      if (typeof term === 'string' || typeof term === 'number') {
+        stack.push(constant(term));
+        continue;
+      }
+
+      if (stack.length < 2) {
+        const message = `cannot execute ${term.value}: ` +
+          `need 2 elements on stack, have ${stack.length}`;
+        lines.push(`throw fail(${literal(message)}, ${index});`);
+        return false;
+      }
+      const op1 = stack.pop();
+      const op2 = stack.pop();
+
+      if (term.value !== '?' && op1.constant && op2.constant) {
+        const result = [op2.value, op1.value];
+        try {
+          applyTerm(term, result, null, null, {strict}, null);
+        } catch (err) {
+          if (err.name !== 'SortleRuntimeError') {
+            throw err;
+          }
+          lines.push(`throw fail(${literal(err.message)}, ${index});`);
+          return false;
+        }
+        stack.push(constant(result[0]));
+        continue;
+      }
+
+      const op = term.value;
+      if (op === '+') {
+        const sum = `${number(op1)} + ${number(op2)}`;
+        stack.push(assign(strict ? `(${sum}) % 4294967296` : sum, 'number'));
+      } else if (op === '*') {
+        stack.push(assign(
+          strict
+            ? `Math.imul(${number(op1)}, ${number(op2)}) >>> 0`
+            : `${number(op1)} * ${number(op2)}`,
+          'number',
+        ));
+      } else if (op === '/' || op === '%') {
+        let divisor = number(op2);
+        if (strict) {
+          const message = `cannot execute ${op}: division by zero`;
+          if (op2.constant && Number(divisor) === 0) {
+            lines.push(`throw fail(${literal(message)}, ${index});`);
+            return false;
+          } else if (!op2.constant) {
+            divisor = assign(divisor, 'number').code;
+            lines.push(`if (${divisor} === 0) throw fail(${literal(message)}, ${index});`);
+          }
+        }
+        stack.push(assign(
+          op === '/'
+            ? `Math.floor(${number(op1)} / ${divisor})`
+            : `${number(op1)} % ${divisor}`,
+          'number',
+        ));
+      } else if (op === '^' || op === '$') {
+        const sop1 = stringOperand(op1);
+        const sop2 = stringOperand(op2);
+        stack.push(assign(`${sop1} > ${sop2} ? ${sop1} : ${sop2}`, 'string'));
+      } else if (op === '~') {
+        stack.push(assign(`${string(op2)} + ${string(op1)}`, 'string'));
+      } else if (op === '?') {
+        mayThrow = true;
+        lines.push(`t = ${index};`);
+        const regexCode = stringOperand(op2);
+        let prefixCode = `regexPrefix(${regexCode})`;
+        if (op2.constant) {
+          try {
+            prefixCode = literal(regexPrefix(sortleString(op2.value)));
+          } catch (err) {
+            // Invalid, so let it throw when evaluated, like the interpreter
+            if (err.name !== 'SortleRegexError') {
+              throw err;
+            }
+          }
+        }
+        const substringMatch = `evalSubstringRegex(${regexCode}, expressions[ip][0])`;
+        const nameMatch = `evalRegex(${regexCode}, namesToMatch(expressions, ip, ${prefixCode}))`;
+        if (op1.constant) {
+          stack.push(assign(
+            sortleString(op1.value) !== '' ? substringMatch : nameMatch,
+            'string',
+          ));
+        } else {
+          stack.push(assign(
+            `${string(op1)} !== '' ? ${substringMatch} : ${nameMatch}`,
+            'string',
+          ));
+        }
+      } else {
+        lines.push(`throw fail(${literal(`internal error: unimplemented operator ${op}`)}, ${index});`);
+        return false;
+      }
+    }
+    return true;
+  };
+
+  let ending = null;
+  if (compileTerms()) {
+    if (stack.length === 1) {
+      lines.push(`return ${stack[0].code};`);
+    } else {
+      const message = 'stack must end with exactly 1 value, ' +
+        `but ended with ${stack.length}`;
+      ending = `throw fail(${literal(message)}, null);`;
+    }
+  }
+
+  const body = mayThrow
+    ? [
+      'let t = null;',
+      'try {',
+      ...lines.map(line => '  ' + line),
+      '} catch (err) {',
+      '  throw atTerm(err, t);',
+      '}',
+    ]
+    : lines;
+  if (ending) {
+    body.push(ending);
+  }
+  return [
+    'function (expressions, ip) {',
+    ...body.map(line => '  ' + line),
+    '}',
+  ].join('\n');
+}
+
+// A JavaScript literal for a Sortle value.
+function literal(value) {
+  if (typeof value === 'number') {
+    // String() gives NaN and Infinity as their names, but -0 as 0
+    return Object.is(value, -0) ? '-0' : String(value);
+  }
+  return JSON.stringify(value);
+}
+
+// A JavaScript literal for a term of a parsed expression.
+function termSource(term) {
+  if (typeof term === 'string' || typeof term === 'number') {
+    return literal(term);
+  }
+  return `{type: 'operator', value: ${JSON.stringify(term.value)}}`;
+}
+
+module.exports.compileProgram = compileProgram;
+module.exports.compileToScript = compileToScript;
+module.exports.compileExpression = compileExpression;
@@ -0,0 +1,45 @@
+// The base class of the errors Sortle code is expected to throw, for a bad
+// program or a program that goes wrong. Every such error has:
+//   name: the name of its class, such as 'SortleSyntaxError'
+//   message: what went wrong, without saying where
+//   span: the source span (see parse.js) the error is about, or null
+//
+// Code that may be compiled by Babel, like the web page, should tell errors
+// apart by name, since instanceof doesn't work on subclasses of Error once
+// Babel has compiled them.
+class SortleError extends Error {
+  constructor(message) {
+    super();
+    this.name = 'SortleError';
+    this.message = message;
+    this.span = null;
+  }
+}
+
+const ERROR_NAMES = [
+  'SortleError',
+  'SortleSyntaxError',
+  'SortleRuntimeError',
+  'SortleRegexError',
+  'SortleLimitError',
+  'SortleSnapshotError',
+  'SortleInputError',
+  'SortlePermalinkError',
+];
+
+// Whether err is a SortleError, of any kind.
+function isSortleError(err) {
+  return err != null && ERROR_NAMES.includes(err.name);
+}
+
+// Whether err is an error a program can cause while running, which says
+// where it happened; see runtime.js.
+function isRuntimeError(err) {
+  return err != null && (
+    err.name === 'SortleRuntimeError' || err.name === 'SortleRegexError'
+  );
+}
+
+module.exports.SortleError = SortleError;
+module.exports.isSortleError = isSortleError;
+module.exports.isRuntimeError = isRuntimeError;
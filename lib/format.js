@@ -0,0 +1,195 @@
+const {parseSortleProgram, parseSortleProgramWithErrors} = require('./parse');
+const {tokenize} = require('./tokenize');
+
+const DEFAULT_WIDTH = 80;
+
+// Formats Sortle source in a canonical style:
+// - one space between terms, and the := of consecutive expressions aligned
+//   (a blank line starts a new group);
+// - expressions longer than the width wrapped with backslash continuations,
+//   and any line break the source already had between terms kept;
+// - strings escaped only where they need to be, with uppercase hex digits,
+//   and numbers without leading zeros;
+// - comments kept, with trailing whitespace, repeated blank lines and
+//   blank lines at the start and end removed.
+//
+// Options:
+//   width: the line length to wrap expressions at. Default 80.
+//
+// Throws a SortleSyntaxError if the code doesn't parse. The formatted code
+// always parses to the same program, in strict mode or not.
+function formatSortleProgram(code, options = {}) {
+  const {width = DEFAULT_WIDTH} = options;
+  parseSortleProgram(code, {duplicates: 'clobber'});
+
+  const lines = [];
+  let group = [];
+  const flushGroup = () => {
+    const nameWidth = Math.max(...group
+      .filter(item => item.type === 'expression')
+      .map(item => item.name.length));
+    group.forEach(item => {
+      if (item.type === 'comment') {
+        lines.push(item.text);
+      } else {
+        lines.push(...formatExpression(item, nameWidth, width));
+      }
+    });
+    group = [];
+  };
+
+  readItems(code).forEach(item => {
+    if (item.type !== 'blank') {
+      group.push(item);
+      return;
+    }
+    flushGroup();
+    if (lines.length > 0 && lines[lines.length - 1] !== '') {
+      lines.push('');
+    }
+  });
+  flushGroup();
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  const formatted = lines.length > 0 ? lines.join('\n') + '\n' : '';
+  if (!sameProgram(code, formatted)) {
+    throw new Error('formatting would change the program (this is a bug)');
+  }
+  return formatted;
+}
+
+// Splits the code into logical lines (joining lines ended with a
+// backslash), each one of:
+// {type: 'blank'}
+// {type: 'comment', text: string}
+// {
+//   type: 'expression',
+//   name: string,
+//   terms: Array<{text: string, breakBefore: boolean}>, // formatted
+//   comment: string | null,
+// }
+// where breakBefore means the source had a line break just before the term.
+function readItems(code) {
+  const items = [];
+  let tokens = [];
+  let comment = null;
+  let breakBefore = false;
+
+  for (const token of tokenize(code)) {
+    if (token.type === 'continuation') {
+      breakBefore = true;
+    } else if (token.type === 'comment') {
+      comment = token.text.replace(/\s+$/, '');
+    } else if (token.type === 'end') {
+      if (tokens.length > 0) {
+        items.push({
+          type: 'expression',
+          name: tokens[0].text,
+          // Skip the name and :=
+          terms: tokens.slice(2),
+          comment,
+        });
+      } else if (comment != null) {
+        items.push({type: 'comment', text: comment});
+      } else {
+        items.push({type: 'blank'});
+      }
+      tokens = [];
+      comment = null;
+      breakBefore = false;
+    } else {
+      tokens.push({text: formatTerm(token), breakBefore});
+      breakBefore = false;
+    }
+  }
+  return items;
+}
+
+function formatTerm({type, text}) {
+  if (type === 'string') {
+    return '"' + formatStringContents(text.slice(1, -1)) + '"';
+  } else if (type === 'number') {
+    return text.replace(/^0+(?=\d)/, '');
+  }
+  return text;
+}
+
+// Escape sequences stand for one byte in strict mode, and one character
+// otherwise, while other characters are UTF-8 encoded in strict mode. So an
+// escape can only become a literal character, and vice versa, within ASCII.
+function formatStringContents(raw) {
+  return raw.replace(/\\(..)|[^\\]+/g, (match, hex) => {
+    if (hex === undefined) {
+      return match.replace(/[\x00-\x1F\x7F]/g, escapeChar);
+    }
+    const char = String.fromCharCode(parseInt(hex, 16));
+    return needsEscape(char) ? escapeChar(char) : char;
+  });
+}
+
+function needsEscape(char) {
+  return char < ' ' || char > '~' || char === '"' || char === '\\';
+}
+
+function escapeChar(char) {
+  const hex = char.charCodeAt(0).toString(16).toUpperCase();
+  return '\\' + (hex.length < 2 ? '0' : '') + hex;
+}
+
+// Formats a term of a parsed expression (see runtime.js) as source that
+// parses back to it, with the given strict option.
+function formatValue(term, options = {}) {
+  const {strict = false} = options;
+  if (typeof term === 'number') {
+    // Without an exponent, even for large numbers
+    return term.toLocaleString('en-US', {useGrouping: false, maximumFractionDigits: 0});
+  } else if (typeof term !== 'string') {
+    return term.value;
+  }
+  // In strict mode, strings are byte strings, so non-ASCII bytes have to be
+  // escaped rather than UTF-8 encoded.
+  return '"' + term.replace(/[^ -~]|["\\]/g, char => (
+    strict || (needsEscape(char) && char < '\x80') ? escapeChar(char) : char
+  )) + '"';
+}
+
+function formatExpression({name, terms, comment}, nameWidth, width) {
+  const indent = ' '.repeat(nameWidth + ' := '.length);
+  const lines = [];
+  let line = name + ' '.repeat(nameWidth - name.length) + ' :=';
+  let lineHasTerm = false;
+  terms.forEach(({text, breakBefore}) => {
+    // Leave room for the ' \' if we'd have to wrap after this term
+    const tooLong = line.length + 1 + text.length + ' \\'.length > width;
+    if (breakBefore || (lineHasTerm && tooLong)) {
+      lines.push(line + ' \\');
+      line = indent + text;
+    } else {
+      line += ' ' + text;
+    }
+    lineHasTerm = true;
+  });
+  if (comment != null) {
+    line += ' ' + comment;
+  }
+  lines.push(line);
+  return lines;
+}
+
+// Whether both versions of the code define the same expressions, in the
+// same order, both in strict mode and not.
+function sameProgram(code, otherCode) {
+  return [false, true].every(strict => {
+    const options = {strict, duplicates: 'clobber'};
+    const key = source => JSON.stringify(
+      parseSortleProgramWithErrors(source, options).definitions
+        .map(([name, terms]) => [name, terms])
+    );
+    return key(code) === key(otherCode);
+  });
+}
+
+module.exports.formatSortleProgram = formatSortleProgram;
+module.exports.formatValue = formatValue;
@@ -0,0 +1,117 @@
+// Golden tests: Sortle programs checked in along with what they should
+// print, to check that programs still run the same way. In a directory of
+// golden tests, each NAME.sort comes with one of:
+//   NAME.out: the program's output.
+//   NAME.err: the first error it stops with, as "row:col: error: message",
+//     or "error: message" for an error that isn't at any one place in the
+//     source (like hitting the step limit).
+//
+// A program can set options with a comment line like:
+//   # test: --strict --max-steps=1000 --duplicates=error
+// Programs are stopped after DEFAULT_MAX_STEPS steps unless they set
+// --max-steps, so that a program that never finishes fails rather than
+// hanging.
+
+const {existsSync, readdirSync, readFileSync} = require('fs');
+const path = require('path');
+
+const {compileProgram} = require('./compile');
+const {isSortleError} = require('./errors');
+const {parseSortleProgram} = require('./parse');
+const {runProgram} = require('./runtime');
+
+const DEFAULT_MAX_STEPS = 1000000;
+
+// Returns the golden tests in a directory, in order of name, as
+// {name, file, expected}, where file is the program's path, and expected is
+// {type: 'output' | 'error', text}, or null if there is neither file.
+function findGoldenTests(dir) {
+  return readdirSync(dir)
+    .filter(filename => filename.endsWith('.sort'))
+    .sort()
+    .map(filename => {
+      const name = filename.slice(0, -'.sort'.length);
+      const base = path.join(dir, name);
+      let expected = null;
+      if (existsSync(base + '.out')) {
+        expected = {type: 'output', text: readExpected(base + '.out')};
+      } else if (existsSync(base + '.err')) {
+        expected = {type: 'error', text: readExpected(base + '.err')};
+      }
+      return {name, file: path.join(dir, filename), expected};
+    });
+}
+
+// Runs a golden test from findGoldenTests, and returns {passed, actual},
+// where actual is what the program did, like expected.
+//
+// Options:
+//   compile: if true, run the program compiled to JavaScript.
+function runGoldenTest(test, options = {}) {
+  const code = readFileSync(test.file, 'utf8');
+  const actual = runGoldenProgram(code, options);
+  const {expected} = test;
+  const passed = !!expected && (
+    expected.type === actual.type && expected.text === actual.text
+  );
+  return {passed, actual};
+}
+
+// Runs a program with the options it sets for itself, returning its output
+// or error as for findGoldenTests.
+function runGoldenProgram(code, options = {}) {
+  const runOptions = testOptions(code);
+  if (runOptions.invalid) {
+    return {type: 'error', text: `error: invalid test option: ${runOptions.invalid}`};
+  }
+  try {
+    const program = parseSortleProgram(code, runOptions);
+    if (options.compile) {
+      runOptions.evaluators = compileProgram(program, runOptions);
+    }
+    let output = runProgram(program, runOptions);
+    if (runOptions.strict) {
+      // Output is a byte string, and expected output is in UTF-8.
+      output = Buffer.from(output, 'latin1').toString('utf8');
+    }
+    return {type: 'output', text: output};
+  } catch (err) {
+    if (!isSortleError(err)) {
+      throw err;
+    }
+    const where = err.span ? `${err.span.row + 1}:${err.span.col + 1}: ` : '';
+    return {type: 'error', text: `${where}error: ${err.message}`};
+  }
+}
+
+// The options a program sets with a "# test:" comment. If one isn't valid,
+// it's given as the invalid option instead.
+function testOptions(code) {
+  const options = {maxSteps: DEFAULT_MAX_STEPS};
+  const matches = code.match(/^#\s*test:(.*)$/m);
+  if (!matches) {
+    return options;
+  }
+  matches[1].trim().split(/\s+/).filter(arg => arg !== '').forEach(arg => {
+    const [_arg, flag, value] = arg.match(/^--([a-z-]+)(?:=(.*))?$/) || [];
+    if (flag === 'strict' && value == null) {
+      options.strict = true;
+    } else if (flag === 'max-steps' && /^\d+$/.test(value)) {
+      options.maxSteps = Number(value);
+    } else if (flag === 'duplicates' && ['warn', 'clobber', 'error'].includes(value)) {
+      options.duplicates = value;
+    } else if (!options.invalid) {
+      options.invalid = arg;
+    }
+  });
+  return options;
+}
+
+// The expected output, without the newline the file ends with.
+function readExpected(filename) {
+  return readFileSync(filename, 'utf8').replace(/\n$/, '');
+}
+
+module.exports.findGoldenTests = findGoldenTests;
+module.exports.runGoldenTest = runGoldenTest;
+module.exports.runGoldenProgram = runGoldenProgram;
@@ -0,0 +1,184 @@
+const {parseSortleProgramWithErrors} = require('./parse');
+const {tokenize} = require('./tokenize');
+
+// Splits Sortle source into highlighted pieces, for the web page's editor.
+// Uses the parser's tokenizer, so that the highlighting follows the same
+// rules, and the parser's errors and warnings, which are marked where they
+// were found.
+//
+// Returns an array with the pieces of each line, which joined give the line
+// back (except for a space added at the end of a line with an error there).
+// A piece looks like:
+// {
+//   text: string,
+//   col: number,
+//   type: 'expression-name' | 'name' | 'separator' | 'string' | 'escape'
+//     | 'regex-bracket' | 'unterminated' | 'operator' | 'number'
+//     | 'comment' | 'continuation' | 'invalid' | 'space',
+//   group: boolean, // inside a regex group in a string
+//   match: number | null, // column of a regex bracket's other half
+//   severity: 'error' | 'warning' | null,
+//   tip: string | null, // explains the piece
+// }
+//
+// 'expression-name' is the name an expression begins with, while 'name' is
+// a name anywhere else, which is an error. Strings are highlighted as if
+// they were regexes, since any string can be used as one, so a bracket
+// escaped like "\5b" isn't highlighted, though it works as a bracket.
+//
+// Options: strict and duplicates, as for parseSortleProgram.
+function highlightSortleCode(code, options = {}) {
+  const lines = code.split('\n');
+  const highlighted = lines.map(() => []);
+  // Where each line has been highlighted up to
+  const ends = lines.map(() => 0);
+
+  // Adds a piece, and a space piece for any gap before it.
+  const push = (row, newPiece) => {
+    if (newPiece.col > ends[row]) {
+      highlighted[row].push(piece(lines[row].slice(ends[row], newPiece.col), ends[row], 'space'));
+    }
+    highlighted[row].push(newPiece);
+    ends[row] = newPiece.col + newPiece.text.length;
+  };
+
+  let expectingName = true;
+  for (const token of tokenize(code)) {
+    const {type, text, row, col} = token;
+    if (type === 'end') {
+      push(row, piece('', lines[row].length, 'space'));
+      expectingName = true;
+      continue;
+    }
+
+    if (type === 'string') {
+      highlightString(text, col).forEach(stringPiece => push(row, stringPiece));
+    } else if (type === 'name') {
+      push(row, piece(text, col, expectingName ? 'expression-name' : 'name'));
+    } else if (type === 'operator') {
+      push(row, piece(text, col, type, {tip: OPERATOR_DESCRIPTIONS[text]}));
+    } else {
+      push(row, piece(text, col, type));
+    }
+    if (type !== 'comment' && type !== 'continuation') {
+      expectingName = false;
+    }
+  }
+  highlighted.forEach((pieces, row) => {
+    highlighted[row] = pieces.filter(({text}) => text !== '');
+  });
+
+  const {errors, warnings} = parseSortleProgramWithErrors(code, options);
+  errors.forEach(({row, col, message}) => {
+    markPiece(highlighted[row], lines[row], col, 'error', message);
+  });
+  warnings.forEach(({row, col, message}) => {
+    markPiece(highlighted[row], lines[row], col, 'warning', message);
+  });
+  return highlighted;
+}
+
+// What each operator does, as in `a b +`, where b is on top of the stack.
+const OPERATOR_DESCRIPTIONS = {
+  '+': 'a b +: adds a and b, as numbers',
+  '*': 'a b *: multiplies a and b, as numbers',
+  '/': 'a b /: divides b by a, as numbers, rounding down',
+  '%': 'a b %: b modulo a, as numbers',
+  '^': 'a b ^: whichever of a and b sorts later, as strings',
+  '$': 'a b $: whichever of a and b sorts later, as strings (the same as ^)',
+  '~': 'a b ~: joins a and b, as strings',
+  '?': 'a b ?: matches the regex a. If b is empty, against the names ' +
+    'before this expression\'s, nearest first; otherwise against the ' +
+    'substrings of this expression\'s name, leftmost and shortest first. ' +
+    'Gives what the () group matched, or else the whole match, or "" if ' +
+    'nothing matches',
+};
+
+function piece(text, col, type, extra = {}) {
+  return {
+    text,
+    col,
+    type,
+    group: false,
+    match: null,
+    severity: null,
+    tip: null,
+    ...extra,
+  };
+}
+
+// The pieces of a string literal: escapes, and regex brackets paired up the
+// way the regex compiler (see regex.js) reads them. Groups can't nest, so a
+// bracket opening one inside another is left without a match, while a
+// closing bracket outside of a group is just a character.
+function highlightString(text, startCol) {
+  const pieces = [];
+  let inGroup = null;
+  // The piece for the bracket that opened the group we're in
+  let opener = null;
+
+  const pushText = (pieceText, col, type = 'string') => {
+    const last = pieces[pieces.length - 1];
+    const group = inGroup !== null;
+    if (type === 'string' && last && last.type === 'string' && last.group === group) {
+      last.text += pieceText;
+    } else {
+      pieces.push(piece(pieceText, col, type, {group}));
+    }
+  };
+
+  pushText('"', startCol);
+  const inner = text.slice(1, -1);
+  for (let i = 0; i < inner.length; i++) {
+    const col = startCol + 1 + i;
+    const chr = inner[i];
+    if (chr === '\\' && /^[0-9A-Fa-f]{2}$/.test(inner.substr(i + 1, 2))) {
+      pushText(inner.substr(i, 3), col, 'escape');
+      i += 2;
+    } else if ((chr === '[' || chr === '(') && !inGroup) {
+      inGroup = chr;
+      opener = piece(chr, col, 'regex-bracket', {group: true});
+      pieces.push(opener);
+    } else if ((inGroup === '[' && chr === ']') || (inGroup === '(' && chr === ')')) {
+      opener.match = col;
+      pieces.push(piece(chr, col, 'regex-bracket', {group: true, match: opener.col}));
+      inGroup = null;
+    } else if (chr === '[' || chr === '(') {
+      pieces.push(piece(chr, col, 'regex-bracket', {group: true}));
+    } else {
+      pushText(chr, col);
+    }
+  }
+  inGroup = null;
+  pushText('"', startCol + text.length - 1);
+  return pieces;
+}
+
+// Marks the character at col as having an error or warning, splitting its
+// piece so that only that character is marked. Past the end of the line,
+// adds a space to mark.
+function markPiece(pieces, line, col, severity, message) {
+  let index = pieces.findIndex(({text, col: pieceCol}) => (
+    col >= pieceCol && col < pieceCol + text.length
+  ));
+  if (index === -1) {
+    pieces.push(piece(' ', line.length, 'space'));
+    index = pieces.length - 1;
+  }
+  const found = pieces[index];
+  const offset = col - found.col;
+  const split = [
+    {...found, text: found.text.slice(0, offset)},
+    {...found, text: found.text.substr(offset, 1), col},
+    {...found, text: found.text.slice(offset + 1), col: col + 1},
+  ];
+  const marked = split[1];
+  if (marked.severity !== 'error') {
+    marked.severity = severity;
+  }
+  marked.tip = [message, marked.tip].filter(tip => tip).join('\n');
+  pieces.splice(index, 1, ...split.filter(({text}) => text !== ''));
+}
+
+module.exports.highlightSortleCode = highlightSortleCode;
+module.exports.OPERATOR_DESCRIPTIONS = OPERATOR_DESCRIPTIONS;
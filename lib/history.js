@@ -0,0 +1,105 @@
+// Keeps a history of the steps a SortleInterpreter takes, so a debugger can
+// go back and forth in time.
+//
+// Rather than copying the program state at every step, we keep only what
+// each step changed (a compact copy of its step record), and move through
+// time by undoing and redoing steps on the interpreter. Once the history
+// grows past its memory cap, the oldest steps are forgotten, and it is no
+// longer possible to go back that far.
+
+const DEFAULT_MAX_BYTES = 16 * 1024 * 1024;
+
+// Rough size of a compact record in memory, not counting its strings.
+const RECORD_OVERHEAD_BYTES = 80;
+
+class SortleHistory {
+  // Options:
+  //   maxBytes: approximate memory cap for the recorded steps.
+  constructor(interpreter, options = {}) {
+    const {maxBytes = DEFAULT_MAX_BYTES} = options;
+    this.interpreter = interpreter;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    // records[i] is the record of step number earliestStep + i + 1.
+    this.records = [];
+    this.earliestStep = interpreter.steps;
+  }
+
+  // The furthest step we've evaluated.
+  get latestStep() {
+    return this.earliestStep + this.records.length;
+  }
+
+  get currentStep() {
+    return this.interpreter.steps;
+  }
+
+  // The record of the step that led to the current state, or null if it has
+  // been forgotten (or there was none).
+  get currentRecord() {
+    const index = this.currentStep - this.earliestStep - 1;
+    return index >= 0 ? this.records[index] : null;
+  }
+
+  // Takes one step forward. If we've gone back in time, this repeats the
+  // recorded step; otherwise it evaluates the current expression (which may
+  // throw). Returns the step record.
+  step() {
+    const {interpreter} = this;
+    if (interpreter.steps < this.latestStep) {
+      const record = this.records[interpreter.steps - this.earliestStep];
+      interpreter.redoStep(record);
+      return record;
+    }
+    const record = interpreter.step();
+    this.push(record);
+    return record;
+  }
+
+  // Takes one step back. Returns false if there is no earlier step we
+  // remember, true otherwise.
+  stepBack() {
+    if (this.currentStep <= this.earliestStep) {
+      return false;
+    }
+    this.interpreter.undoStep(this.currentRecord);
+    return true;
+  }
+
+  // Goes to the given step number, as far as the history allows. Never
+  // evaluates anything new.
+  seek(step) {
+    step = Math.max(this.earliestStep, Math.min(this.latestStep, step));
+    while (this.currentStep > step) {
+      this.stepBack();
+    }
+    while (this.currentStep < step) {
+      this.step();
+    }
+  }
+
+  push(record) {
+    const {step, id, ip, oldName, newName, action, clobberedId, newIP} = record;
+    this.records.push(
+      {step, id, ip, oldName, newName, action, clobberedId, newIP}
+    );
+    this.bytes += recordSize(record);
+
+    if (this.bytes > this.maxBytes) {
+      // Forget the oldest tenth of the history at once, so that we aren't
+      // shifting the whole array on every step.
+      const forgetCount = Math.max(1, Math.floor(this.records.length / 10));
+      const forgotten = this.records.splice(0, forgetCount);
+      forgotten.forEach(oldRecord => {
+        this.bytes -= recordSize(oldRecord);
+      });
+      this.earliestStep += forgetCount;
+    }
+  }
+}
+
+function recordSize({oldName, newName}) {
+  return RECORD_OVERHEAD_BYTES + 2 * (oldName.length + newName.length);
+}
+
+module.exports.SortleHistory = SortleHistory;
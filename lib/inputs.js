@@ -0,0 +1,78 @@
+// Inputs are values given to a program when it is run, rather than written
+// in its source, like `sortle --define n=10 fib.sort`. Each input is added to
+// the program as an expression with the input's name, whose only term is
+// the value as a string, so the input above works as if the program had
+//   n := "10"
+// An input replaces any expression in the program with the same name, so a
+// program can give a default for each of its inputs, to use when it isn't
+// given one.
+//
+// Inputs are given as an array of {name, value}, where value is a string.
+// If two have the same name, the later one wins.
+
+const {SortleError} = require('./errors');
+const {toByteString} = require('./values');
+
+// The same names the parser allows (see tokenize.js).
+const INPUT_NAME = /^[A-Za-z]+$/;
+
+class SortleInputError extends SortleError {
+  constructor(name, message) {
+    super(message);
+    this.name = 'SortleInputError';
+    this.inputName = name;
+  }
+}
+
+// Returns what's wrong with the name for an input, or null if it's fine.
+function validateInputName(name) {
+  if (name === '') {
+    return 'input name is empty';
+  } else if (!INPUT_NAME.test(name)) {
+    return `invalid input name ${JSON.stringify(name)}: ` +
+      'names must be letters only, A-Z and a-z';
+  }
+  return null;
+}
+
+// Returns the program (see runtime.js) with the inputs added, keeping it
+// sorted by name. The expressions added have null in place of a source
+// location. The program passed in is not modified.
+//
+// Options:
+//   strict: as for parseSortleProgram; values are encoded as UTF-8, to
+//     give byte strings. Default false.
+//
+// Throws a SortleInputError if an input's name isn't valid.
+function addInputs(program, inputs, options = {}) {
+  const {strict = false} = options;
+  const byName = new Map();
+  inputs.forEach(({name, value}) => {
+    const problem = validateInputName(name);
+    if (problem) {
+      throw new SortleInputError(name, problem);
+    }
+    byName.set(name, strict ? toByteString(value) : value);
+  });
+
+  const withInputs = program.filter(([name]) => !byName.has(name));
+  byName.forEach((value, name) => {
+    withInputs.push([name, [value], null]);
+  });
+  return withInputs.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+// Parses an input given like "n=10", as on the command line, into
+// {name, value}. Returns null if there is no =.
+function parseInputDefinition(definition) {
+  const index = definition.indexOf('=');
+  if (index === -1) {
+    return null;
+  }
+  return {name: definition.slice(0, index), value: definition.slice(index + 1)};
+}
+
+module.exports.addInputs = addInputs;
+module.exports.validateInputName = validateInputName;
+module.exports.parseInputDefinition = parseInputDefinition;
+module.exports.SortleInputError = SortleInputError;
@@ -0,0 +1,153 @@
+const {parseSortleProgramWithErrors} = require('./parse');
+const {compileRegex, matchCompiledRegex} = require('./regex');
+const {sortleString} = require('./values');
+
+// Finds problems in a Sortle program without running it. Returns an array
+// of diagnostics, in source order, like:
+// {
+//   severity: 'error' | 'warning' | 'info',
+//   code: string, // which check found it, e.g. 'stack-underflow'
+//   message: string,
+//   row: number,
+//   col: number,
+//   endRow: number,
+//   endCol: number,
+// }
+//
+// Takes the same strict option as parseSortleProgram.
+function lintSortleProgram(code, options = {}) {
+  const {program, errors, warnings, definitions} = parseSortleProgramWithErrors(
+    code,
+    {...options, duplicates: 'warn'},
+  );
+  const diagnostics = [];
+
+  const report = (severity, code, message, span) => {
+    const {row, col, endRow, endCol} = span;
+    diagnostics.push({severity, code, message, row, col, endRow, endCol});
+  };
+
+  errors.forEach(error => {
+    report('error', 'syntax', error.message, error.span);
+  });
+
+  warnings.forEach(warning => {
+    const {code, message, row, col} = warning;
+    report('warning', code, message, {row, col, endRow: row, endCol: col + 1});
+  });
+
+  const regexUses = [];
+  definitions.forEach(definition => {
+    lintExpression(definition, report, regexUses);
+  });
+
+  lintUnmatchedNames(program, regexUses, report);
+
+  return diagnostics.sort((a, b) => a.row - b.row || a.col - b.col);
+}
+
+// Follows an expression's stack without running it, knowing the values of
+// literals and of ~ applied to known values, and nothing else. Checks the
+// stack depth and any regex whose value is known, and adds an entry to
+// `regexUses` for each ?, like {regex, nameForm}, each null if unknown.
+function lintExpression([name, terms, source], report, regexUses) {
+  // Each value is {value} if known, else null
+  const stack = [];
+
+  for (const [index, term] of terms.entries()) {
+    const span = source.terms[index];
+    if (typeof term === 'string' || typeof term === 'number') {
+      stack.push({value: term});
+      continue;
+    }
+
+    if (stack.length < 2) {
+      report(
+        'error',
+        'stack-underflow',
+        `${term.value} needs 2 values on the stack, but there will be ${stack.length}`,
+        span,
+      );
+      return;
+    }
+
+    const op1 = stack.pop();
+    const op2 = stack.pop();
+    let result = null;
+    if (term.value === '~' && op1 && op2) {
+      result = {value: sortleString(op2.value) + sortleString(op1.value)};
+    } else if (term.value === '?') {
+      const regex = op2 && sortleString(op2.value);
+      if (regex != null) {
+        lintRegex(regex, span, report);
+      }
+      regexUses.push({
+        regex,
+        nameForm: op1 && sortleString(op1.value) === '',
+      });
+    }
+    stack.push(result);
+  }
+
+  if (stack.length !== 1) {
+    report(
+      'error',
+      'stack-depth',
+      `${name} will leave ${stack.length} values on the stack, instead of 1`,
+      source,
+    );
+  }
+}
+
+function lintRegex(regex, span, report) {
+  try {
+    compileRegex(regex);
+  } catch (e) {
+    if (e.name === 'SortleRegexError') {
+      report('error', 'invalid-regex', `invalid regex "${regex}": ${e.message}`, span);
+      return;
+    }
+    throw e;
+  }
+  // The compiler ignores a ! or @ with nothing before it to modify.
+  const modifier = regex.replace(/^[[(]/, '')[0];
+  if (modifier === '!' || modifier === '@') {
+    report(
+      'warning',
+      'regex-leading-modifier',
+      `regex "${regex}" begins with ${modifier}, which has nothing to modify and is ignored`,
+      span,
+    );
+  }
+}
+
+// If every regex matched against names is known, points out the expressions
+// whose names none of them can match.
+function lintUnmatchedNames(program, regexUses, report) {
+  if (regexUses.some(use => use.regex == null || use.nameForm == null)) {
+    return;
+  }
+  const compiledRegexes = [];
+  regexUses.filter(use => use.nameForm).forEach(({regex}) => {
+    try {
+      compiledRegexes.push(compileRegex(regex));
+    } catch (e) {
+      // Already reported
+    }
+  });
+  if (compiledRegexes.length === 0) {
+    return;
+  }
+  program.forEach(([name, _terms, source]) => {
+    if (!compiledRegexes.some(regex => matchCompiledRegex(regex, name) != null)) {
+      report(
+        'info',
+        'unmatched-name',
+        `no regex in the program matches the name ${name}`,
+        {row: source.row, col: source.col, endRow: source.row, endCol: source.col + name.length},
+      );
+    }
+  });
+}
+
+module.exports.lintSortleProgram = lintSortleProgram;
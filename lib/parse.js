@@ -1,3 +1,7 @@
+const {SortleError} = require('./errors');
+const {tokenize} = require('./tokenize');
+const {parseDigits, toByteString} = require('./values');
+
 // Expressions can be multi-line due to my extension (not in the spec)
 // to allow ending a line with a backslash (not part of a string literal
 // or comment) to ignore the newline in parsing. This structure tracks
@@ -7,29 +11,49 @@ function blankExpression() {
     name: null,
     haveReadSeparator: false,
     terms: [],
+    source: null,
   };
 }
 
-class SortleSyntaxError extends Error {
+// Source spans are described like:
+// {row: number, col: number, endRow: number, endCol: number}
+// with rows and columns counted from 0, and the end exclusive.
+function span(row, col, endRow, endCol) {
+  return {row, col, endRow, endCol};
+}
+
+// The span covers the one character where the error was found.
+class SortleSyntaxError extends SortleError {
   constructor(row, col, expected, received = null) {
-    super();
+    super(`expected ${expected}` + (received ? `, received ${received}` : ''));
     this.name = 'SortleSyntaxError';
+    this.span = span(row, col, row, col + 1);
     this.row = row;
     this.col = col;
     this.expected = expected;
     this.received = received;
+    // For a duplicate expression name, {row, col} of the first definition
+    this.firstDefinition = null;
   }
 }
 
+const DUPLICATE_POLICIES = ['error', 'warn', 'clobber'];
+
 class BadStringEscapeError extends Error {
   constructor(offset) {
     super();
+    this.name = 'BadStringEscapeError';
     this.offset = offset;
   }
 }
 
-function sortleUnescape(str) {
-  return str.replace(/\\(..)/g, (match, p1, offset, _str) => {
+// In strict mode, strings are byte strings, so characters outside of escape
+// sequences are encoded as UTF-8, while each escape sequence is one byte.
+function sortleUnescape(str, strict = false) {
+  return str.replace(/\\(..)|[^\\]+/g, (match, p1, offset, _str) => {
+    if (p1 === undefined) {
+      return strict ? toByteString(match) : match;
+    }
     if (!p1.match(/[0-9A-Fa-f]{2}/)) {
       throw new BadStringEscapeError(offset);
     }
@@ -37,147 +61,217 @@ function sortleUnescape(str) {
   });
 }
 
-const OPERATORS = [
-  '+',
-  '*',
-  '/',
-  '%',
-  '^',
-  '~',
-  '?',
-  '$',
-];
-
-function parseSortleProgram(code) {
+// Options:
+//   strict: if true, follow the spec's byte string and modulo 2**32 number
+//     semantics (see values.js). Default false.
+//   duplicates: what to do when two expressions have the same name.
+//     'clobber': the later definition replaces the earlier one, just as an
+//       expression renamed to an existing name would clobber it.
+//     'warn' (the default): clobber, and also give a warning.
+//     'error': a syntax error, at the later definition.
+//   onWarning: called with each warning. A warning looks like:
+//     {
+//       code: 'duplicate-name',
+//       message: string,
+//       row: number,
+//       col: number,
+//       firstDefinition: {row: number, col: number},
+//     }
+//
+// Returns a program (see runtime.js), in which each [name, expression] tuple
+// has a third element giving where the expression came from:
+// {
+//   ...span, // from the start of the name to the end of the last term
+//   terms: Array<span>, // for each term
+// }
+//
+// Throws a SortleSyntaxError for the first error in the code.
+function parseSortleProgram(code, options = {}) {
+  const {program, errors, warnings} = parseSortleProgramWithErrors(code, options);
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+  if (options.onWarning) {
+    warnings.forEach(options.onWarning);
+  }
+  return program;
+}
+
+// Like parseSortleProgram, but doesn't stop at the first error. Instead,
+// skips the rest of any expression with an error, and returns
+// {program, errors, warnings, definitions}: the program made of the
+// expressions without errors, arrays of SortleSyntaxErrors and of warnings
+// in the order they appear in the code, and every expression without errors
+// in source order, including any later replaced by another of the same name.
+function parseSortleProgramWithErrors(code, options = {}) {
+  const {strict = false, duplicates = 'warn'} = options;
+  if (!DUPLICATE_POLICIES.includes(duplicates)) {
+    throw new Error(`unknown duplicates policy: ${duplicates}`);
+  }
+
   // constructed in this function, flattened to array at end, and returned
   const expressions = {};
+  const errors = [];
+  const warnings = [];
+  const definitions = [];
 
   let expression = blankExpression();
-  let row = 0;
-  let col = 0;
+  // Whether we've hit an error and are skipping the rest of the expression
+  let skipping = false;
+  // Where a comment began on the current line, if it has one
+  let commentCol = null;
 
-  const codeLines = code.split('\n');
-
-  while (row < codeLines.length) {
-    const line = codeLines[row];
+  const fail = (error) => {
+    errors.push(error);
+    skipping = true;
+  };
 
-    // Skip whitespace
-    col += line.substr(col).match(/^\s*/)[0].length;
+  for (const token of tokenize(code)) {
+    const {type, text, row, col, endCol} = token;
 
-    if (col === line.length || line[col] === '#') {  // End of line or comment
-      if (!expression.name) {
-        row++;
-        col = 0;
+    if (type === 'comment') {
+      commentCol = col;
+      continue;
+    } else if (type === 'end') {  // End of line (not continued)
+      const endOfLineCol = commentCol != null ? commentCol : col;
+      commentCol = null;
+      if (skipping) {
+        skipping = false;
+      } else if (!expression.name) {
         continue;  // Blank line, OK
       } else if (!expression.haveReadSeparator) {
-        throw new SortleSyntaxError(row, col, ':=', 'end of line');
+        errors.push(new SortleSyntaxError(row, endOfLineCol, ':=', 'end of line'));
       } else if (expression.terms.length === 0) {
-        throw new SortleSyntaxError(row, col, 'expression', 'end of line');
+        errors.push(new SortleSyntaxError(row, endOfLineCol, 'expression', 'end of line'));
+      } else {
+        const {name, terms, source} = expression;
+        const lastTerm = source.terms[source.terms.length - 1];
+        source.endRow = lastTerm.endRow;
+        source.endCol = lastTerm.endCol;
+
+        const previous = expressions[name];
+        const firstDefinition = previous && {
+          row: previous.source.row,
+          col: previous.source.col,
+        };
+        if (previous && duplicates === 'error') {
+          const error = new SortleSyntaxError(
+            source.row,
+            source.col,
+            'unique expression name',
+            `${name}, already defined at ` +
+            `${firstDefinition.row + 1}:${firstDefinition.col + 1}`,
+          );
+          error.firstDefinition = firstDefinition;
+          errors.push(error);
+        } else {
+          if (previous && duplicates === 'warn') {
+            warnings.push({
+              code: 'duplicate-name',
+              message: `${name} is already defined at ` +
+                `${firstDefinition.row + 1}:${firstDefinition.col + 1}, ` +
+                'and this definition replaces it',
+              row: source.row,
+              col: source.col,
+              firstDefinition,
+            });
+          }
+          expressions[name] = expression;
+          definitions.push([name, terms, source]);
+        }
       }
-      expressions[expression.name] = expression.terms;
       expression = blankExpression();
-      row++;
-      col = 0;
       continue;
-    } else if (line[col] === '\\' && col + 1 === line.length) {
-      // A backslash on the very end of a line continues the line.
-      // (Extension to 2005 spec)
-      row++;
-      col = 0;
+    } else if (type === 'continuation' || skipping) {
       continue;
-    } else if (!expression.name) {
+    }
+
+    if (!expression.name) {
       // Need name of an expression
-      const matches = line.substr(col).match(/^[A-Za-z]+/);
-      if (!matches) {
-        throw new SortleSyntaxError(row, col, 'expression name');
+      if (type !== 'name') {
+        fail(new SortleSyntaxError(row, col, 'expression name'));
+        continue;
       }
-      expression.name = matches[0];
-      col += matches[0].length;
+      expression.name = text;
+      expression.source = {
+        ...span(row, col, row, endCol),
+        terms: [],
+      };
 
       // Error if not-whitespace after
-      if (line.length > col && line[col] != ' ' && !(
-        line[col] === '\\' && line.length === col + 1
-      )) {
-        throw new SortleSyntaxError(
-          row,
-          col - matches[0].length,
-          'expression name',
-          matches[0],
-        );
+      if (token.badFollow) {
+        fail(new SortleSyntaxError(row, col, 'expression name', text));
       }
     } else if (!expression.haveReadSeparator) {
-      if (line.substr(col, 2) === ':=') {
-        col += 2;
-        expression.haveReadSeparator = true;
-
-        // Error if not-whitespace after
-        if (line.length > col && line[col] != ' ' && !(
-          line[col] === '\\' && line.length === col + 1
-        )) {
-          throw new SortleSyntaxError(row, col, 'whitespace');
-        }
-      } else {
-        throw new SortleSyntaxError(row, col, ':=');
+      if (type !== 'separator') {
+        fail(new SortleSyntaxError(row, col, ':='));
+        continue;
       }
-    } else if (line[col] === '"') {
-      const matches = line.substr(col).match(/^"([^"]*)"/);
-      if (!matches) {
-        throw new SortleSyntaxError(row, col, 'string', 'unterminated string');
+      expression.haveReadSeparator = true;
+
+      // Error if not-whitespace after
+      if (token.badFollow) {
+        fail(new SortleSyntaxError(row, endCol, 'whitespace'));
       }
-      const rawString = matches[1];
+    } else if (type === 'string') {
+      const rawString = text.slice(1, -1);
       let unescapedString;
       try {
-        unescapedString = sortleUnescape(rawString);
+        unescapedString = sortleUnescape(rawString, strict);
       } catch (e) {
-        if (e instanceof BadStringEscapeError) {
-          throw new SortleSyntaxError(
+        if (e.name === 'BadStringEscapeError') {
+          fail(new SortleSyntaxError(
             row,
             col + 1 + e.offset + 1,
             'escape sequence (two hexadecimal digits)',
             '"' + rawString.substr(e.offset + 1, 2),
-          );
+          ));
+          continue;
         } else {
           throw e;
         }
       }
-      expression.terms.push(unescapedString);
-      col += matches[0].length;
+      addTerm(expression, unescapedString, token);
 
       // Error if not-whitespace after
-      if (line.length > col && line[col] != ' ' && !(
-        line[col] === '\\' && line.length === col + 1
-      )) {
-        throw new SortleSyntaxError(row, col, 'whitespace');
+      if (token.badFollow) {
+        fail(new SortleSyntaxError(row, endCol, 'whitespace'));
       }
-    } else if (OPERATORS.some(operator => line[col] === operator)) {
-      expression.terms.push({
-        type: 'operator',
-        value: line[col],
-      });
-      col++;
+    } else if (type === 'unterminated') {
+      fail(new SortleSyntaxError(row, col, 'string', 'unterminated string'));
+    } else if (type === 'operator') {
+      addTerm(expression, {type: 'operator', value: text}, token);
+
       // Error if not-whitespace after
-      if (line.length > col && line[col] != ' ' && !(
-        line[col] === '\\' && line.length === col + 1
-      )) {
-        throw new SortleSyntaxError(row, col, 'whitespace');
+      if (token.badFollow) {
+        fail(new SortleSyntaxError(row, endCol, 'whitespace'));
       }
-    } else if (line[col].match(/^\d/)) {
-      const number = line.substr(col).match(/^\d+/)[0];
-      expression.terms.push(Number(number)); // TODO: Make it mod 2**32?
-      col += number.length;
+    } else if (type === 'number') {
+      addTerm(expression, parseDigits(text, strict), token);
+
       // Error if not-whitespace after
-      if (line.length > col && line[col] != ' ' && !(
-        line[col] === '\\' && line.length === col + 1
-      )) {
-        throw new SortleSyntaxError(row, col, 'whitespace');
+      if (token.badFollow) {
+        fail(new SortleSyntaxError(row, endCol, 'whitespace'));
       }
     } else {
-      throw new SortleSyntaxError(row, col, 'term');
+      fail(new SortleSyntaxError(row, col, 'term'));
     }
   }
 
-  return Object.keys(expressions).sort().map(name => [name, expressions[name]]);
+  const program = Object.keys(expressions).sort().map(name => [
+    name,
+    expressions[name].terms,
+    expressions[name].source,
+  ]);
+  return {program, errors, warnings, definitions};
+}
+
+function addTerm(expression, term, token) {
+  const {row, col, endCol} = token;
+  expression.terms.push(term);
+  expression.source.terms.push(span(row, col, row, endCol));
 }
 
 module.exports.parseSortleProgram = parseSortleProgram;
+module.exports.parseSortleProgramWithErrors = parseSortleProgramWithErrors;
 module.exports.SortleSyntaxError = SortleSyntaxError;
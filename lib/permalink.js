@@ -0,0 +1,162 @@
+// Permalinks save a session on the web page, its code along with any inputs
+// and settings, in the fragment of the page's URL, so that a link to the
+// page opens the same session. The fragment looks like:
+//   s1.<checksum>.<data>
+// where data is the session as JSON, compressed with raw deflate and
+// encoded as URL-safe base64 without padding, and checksum is the adler-32
+// of the JSON as 8 hex digits, to catch links that were cut short or
+// mangled along the way.
+//
+// A session is:
+// {
+//   code: string,
+//   inputs: Array<{name, value}>, // see inputs.js
+//   duplicates: 'warn' | 'clobber' | 'error', // see parse.js
+//   breakpoints: see breakpoints.js,
+// }
+// Settings left at their defaults are left out of the JSON, to keep links
+// short.
+
+const ADLER32 = require('adler-32');
+const zlib = require('zlib');
+
+const {emptyBreakpoints, validateCondition} = require('./breakpoints');
+const {SortleError} = require('./errors');
+const {validateInputName} = require('./inputs');
+
+const PERMALINK_VERSION = 's1';
+const DUPLICATE_POLICIES = ['warn', 'clobber', 'error'];
+
+class SortlePermalinkError extends SortleError {
+  constructor(message) {
+    super(message);
+    this.name = 'SortlePermalinkError';
+  }
+}
+
+// Returns the fragment, without the #, for a link to the session.
+function createPermalink(session) {
+  const {code, inputs = [], duplicates = 'warn', breakpoints = emptyBreakpoints()} = session;
+  const saved = {code};
+  if (inputs.length > 0) {
+    saved.inputs = inputs.map(({name, value}) => [name, value]);
+  }
+  if (duplicates !== 'warn') {
+    saved.duplicates = duplicates;
+  }
+  if (!isEmptyBreakpoints(breakpoints)) {
+    saved.breakpoints = breakpoints;
+  }
+  const json = JSON.stringify(saved);
+  const data = zlib.deflateRawSync(Buffer.from(json, 'utf8')).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  return `${PERMALINK_VERSION}.${checksum(json)}.${data}`;
+}
+
+// Reads the session from a permalink's fragment, with or without the #,
+// filling in the defaults for settings the link leaves out.
+//
+// Throws a SortlePermalinkError if it isn't a valid permalink.
+function readPermalink(fragment) {
+  const parts = fragment.replace(/^#/, '').split('.');
+  if (parts.length !== 3 || parts[0] !== PERMALINK_VERSION) {
+    throw new SortlePermalinkError('not a link to a Sortle program');
+  }
+  const [_version, expectedChecksum, data] = parts;
+  if (!/^[A-Za-z0-9_-]*$/.test(data)) {
+    throw new SortlePermalinkError('link is damaged: invalid characters');
+  }
+
+  let json;
+  try {
+    const compressed = Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    json = zlib.inflateRawSync(compressed).toString('utf8');
+  } catch (err) {
+    throw new SortlePermalinkError('link is damaged: cannot decompress it');
+  }
+  if (checksum(json) !== expectedChecksum) {
+    throw new SortlePermalinkError('link is damaged: checksum does not match');
+  }
+
+  let saved;
+  try {
+    saved = JSON.parse(json);
+  } catch (err) {
+    throw new SortlePermalinkError(`link is damaged: ${err.message}`);
+  }
+  return validateSession(saved);
+}
+
+function validateSession(saved) {
+  if (saved == null || typeof saved !== 'object' || typeof saved.code !== 'string') {
+    throw new SortlePermalinkError('link has no code');
+  }
+  const {
+    code,
+    inputs = [],
+    duplicates = 'warn',
+    breakpoints = emptyBreakpoints(),
+  } = saved;
+
+  if (!Array.isArray(inputs) || !inputs.every(input => (
+    Array.isArray(input)
+    && input.length === 2
+    && input.every(part => typeof part === 'string')
+  ))) {
+    throw new SortlePermalinkError('invalid inputs');
+  }
+  inputs.forEach(([name]) => {
+    const problem = validateInputName(name);
+    if (problem) {
+      throw new SortlePermalinkError(problem);
+    }
+  });
+  if (!DUPLICATE_POLICIES.includes(duplicates)) {
+    throw new SortlePermalinkError(`invalid duplicates setting: ${duplicates}`);
+  }
+  if (breakpoints == null
+    || typeof breakpoints !== 'object'
+    || !isStringArray(breakpoints.expressions)
+    || !isStringArray(breakpoints.conditions)
+    || typeof breakpoints.onDelete !== 'boolean'
+    || typeof breakpoints.onClobber !== 'boolean') {
+    throw new SortlePermalinkError('invalid breakpoints');
+  }
+  breakpoints.conditions.forEach(regex => {
+    try {
+      validateCondition(regex);
+    } catch (err) {
+      throw new SortlePermalinkError(`invalid breakpoint condition "${regex}": ${err.message}`);
+    }
+  });
+
+  return {
+    code,
+    inputs: inputs.map(([name, value]) => ({name, value})),
+    duplicates,
+    breakpoints: {
+      expressions: breakpoints.expressions,
+      onDelete: breakpoints.onDelete,
+      onClobber: breakpoints.onClobber,
+      conditions: breakpoints.conditions,
+    },
+  };
+}
+
+function isEmptyBreakpoints({expressions, onDelete, onClobber, conditions}) {
+  return expressions.length === 0 && !onDelete && !onClobber && conditions.length === 0;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function checksum(str) {
+  return ('0000000' + (ADLER32.str(str) >>> 0).toString(16)).slice(-8);
+}
+
+module.exports.createPermalink = createPermalink;
+module.exports.readPermalink = readPermalink;
+module.exports.SortlePermalinkError = SortlePermalinkError;
@@ -1,15 +1,45 @@
-class SortleRegexError extends Error {
+const {SortleError} = require('./errors');
+
+// Has the same fields as SortleRuntimeError for where the error happened,
+// filled in by the interpreter.
+class SortleRegexError extends SortleError {
   constructor(regex, message) {
-    super();
+    super(message);
+    this.name = 'SortleRegexError';
     this.regex = regex;
-    this.message = message;
+    this.termIndex = null;
+    this.expressionName = null;
+    this.origName = null;
+    this.step = null;
   }
 }
 
-function evalRegex(regex, stringsToMatch) {
-  const compiledRegex = compileRegex(regex);
+// Compiled regexes are cached, since programs tend to evaluate the same few
+// regexes over and over. The cache is simply emptied once it's full.
+const MAX_CACHED_REGEXES = 1000;
+const regexCache = new Map();
+
+// Strings that don't begin with the regex's literal prefix (see
+// regexPrefix) can't match, and aren't tried.
+//
+// If `trace` is given, every string is appended to trace.candidates in
+// order, including those skipped by prefix, whose indices in candidates are
+// appended to trace.skipped. trace.matched is set to the string that
+// matched, or null.
+function evalRegex(regex, stringsToMatch, trace = null) {
+  const {compiled: compiledRegex, prefix} = cachedRegex(regex);
   for (const str of stringsToMatch) {
+    if (!str.startsWith(prefix)) {
+      if (trace) {
+        traceSkipped(trace, str);
+      }
+      continue;
+    }
     const result = matchCompiledRegex(compiledRegex, str);
+    if (trace) {
+      trace.candidates.push(str);
+      trace.matched = result != null ? str : null;
+    }
     if (result != null) {
       return result;
     }
@@ -19,6 +49,45 @@ function evalRegex(regex, stringsToMatch) {
   return '';
 }
 
+// The other form of regex: instead of matching whole names, match the regex
+// against substrings of `str` (the evaluating expression's own name). Leftmost
+// substrings are tried first, and for each starting position, shorter
+// substrings before longer ones, in keeping with Sortle's lazy matching.
+// Takes an optional `trace` like evalRegex, recording the substrings.
+function evalSubstringRegex(regex, str, trace = null) {
+  const {compiled: compiledRegex, prefix} = cachedRegex(regex);
+  for (let start = 0; start < str.length; start++) {
+    // Substrings from `start` ending before firstEnd don't begin with the
+    // prefix, so can't match.
+    const firstEnd = str.startsWith(prefix, start)
+      ? start + Math.max(1, prefix.length)
+      : str.length + 1;
+    if (trace) {
+      for (let end = start + 1; end < firstEnd && end <= str.length; end++) {
+        traceSkipped(trace, str.substring(start, end));
+      }
+    }
+    for (let end = firstEnd; end <= str.length; end++) {
+      const substring = str.substring(start, end);
+      const result = matchCompiledRegex(compiledRegex, substring);
+      if (trace) {
+        trace.candidates.push(substring);
+        trace.matched = result != null ? substring : null;
+      }
+      if (result != null) {
+        return result;
+      }
+    }
+  }
+  return '';
+}
+
+// Records a string skipped by prefix in a trace (see evalRegex).
+function traceSkipped(trace, str) {
+  trace.skipped.push(trace.candidates.length);
+  trace.candidates.push(str);
+}
+
 // Return a compiled regex; array of elements described like:
 // {
 //   chars: string,
@@ -26,7 +95,51 @@ function evalRegex(regex, stringsToMatch) {
 //   canRepeat: boolean, // corresponds to !
 //   capturing: boolean,
 // }
+// The result is cached and shared, so must not be modified.
 function compileRegex(regex) {
+  return cachedRegex(regex).compiled;
+}
+
+// The literal text that every string the regex matches begins with. Since
+// names are kept sorted, this lets the interpreter skip straight to the
+// names that could match.
+function regexPrefix(regex) {
+  return cachedRegex(regex).prefix;
+}
+
+function cachedRegex(regex) {
+  let entry = regexCache.get(regex);
+  if (!entry) {
+    const compiled = compileRegexUncached(regex);
+    entry = {compiled, prefix: literalPrefix(compiled)};
+    if (regexCache.size >= MAX_CACHED_REGEXES) {
+      regexCache.clear();
+    }
+    regexCache.set(regex, entry);
+  }
+  return entry;
+}
+
+function literalPrefix(compiledRegex) {
+  let prefix = '';
+  for (const {chars, optional, canRepeat} of compiledRegex) {
+    if (optional) {
+      break;
+    }
+    const dotIndex = chars.indexOf('.');
+    if (dotIndex !== -1) {
+      return prefix + chars.substr(0, dotIndex);
+    }
+    prefix += chars;
+    if (canRepeat) {
+      // Only the first repetition is certain to be there
+      break;
+    }
+  }
+  return prefix;
+}
+
+function compileRegexUncached(regex) {
   const compiled = [];
 
   let currentElementChars = '';
@@ -107,21 +220,93 @@ function compileRegex(regex) {
   if (currentElementChars.length > 0) {
     finishElement();
   }
+  compiled.forEach(element => {
+    element._allDots = /^\.*$/.test(element.chars); // matcher internal use only
+  });
   return compiled;
 }
 
 // If the regex matches, returns whatever's in the capturing group, or if no
 // capturing group, str. If the regex does not match, returns undefined.
 function matchCompiledRegex(regex, str) {
-  const recursiveMatchResult = matchCompiledRegexRecursive(regex, str);
-  if (recursiveMatchResult) {
-    return recursiveMatchResult.match;
+  const captured = matchElements(regex, 0, str, 0);
+  if (captured === undefined) {
+    return undefined;
   }
-  return undefined;
+  return captured === null ? str : captured;
+}
+
+// Matches the regex from element elIdx on against str from strPos to the
+// end, working on positions rather than slicing the regex and string. If it
+// matches, returns what the capturing group matched, or null if there is no
+// capturing group. Else returns undefined. Matches exactly the same as
+// matchCompiledRegexRecursive, which is easier to follow.
+function matchElements(regex, elIdx, str, strPos) {
+  let captured = null;
+  for (; elIdx < regex.length; elIdx++) {
+    const element = regex[elIdx];
+    const {chars, optional, canRepeat, capturing} = element;
+
+    if (!optional && !canRepeat) {
+      if (!consumeCompiledElement(str, strPos, element, 1)) {
+        return undefined;
+      }
+      if (capturing) {
+        captured = str.substr(strPos, chars.length);
+      }
+      strPos += chars.length;
+      continue;
+    }
+
+    // Lazy, like matchCompiledRegexRecursive: fewest repetitions first
+    const minRepeat = optional ? 0 : 1;
+    const maxRepeat = maxRepetitions(element);
+    for (let reps = minRepeat; reps <= maxRepeat; reps++) {
+      if (reps > 0 && !consumeCompiledElement(str, strPos, element, reps)) {
+        break;
+      }
+      const tailCaptured = matchElements(regex, elIdx + 1, str, strPos + (chars.length * reps));
+      if (tailCaptured !== undefined) {
+        if (tailCaptured !== null) {
+          return tailCaptured;
+        }
+        return capturing ? str.substr(strPos, chars.length * reps) : captured;
+      }
+    }
+    return undefined;
+  }
+  return strPos === str.length ? captured : undefined;
+}
+
+// The most times an element with ! or @ can match. An empty element, like
+// []!, matches the same however many times it repeats, so is only tried
+// once.
+function maxRepetitions({chars, canRepeat}) {
+  return canRepeat && chars.length > 0 ? Infinity : 1;
+}
+
+// Like consumeElement, for an element of a compiled regex.
+function consumeCompiledElement(str, strStartPos, element, repetitions) {
+  const {chars} = element;
+  const charsToConsume = chars.length * repetitions;
+  if (charsToConsume > str.length - strStartPos) {
+    return false;
+  }
+  if (element._allDots) {
+    return true;
+  }
+  for (let i = 0; i < charsToConsume; i++) {
+    const chr = chars[i % chars.length];
+    if (chr !== '.' && chr !== str[strStartPos + i]) {
+      return false;
+    }
+  }
+  return true;
 }
 
-// If the regex matches, returns {capturingGroup: boolean, match: string}.
-// Else returns undefined.
+// The original matcher, kept as the reference that matchElements is tested
+// against. If the regex matches, returns {capturingGroup: boolean, match:
+// string}. Else returns undefined.
 function matchCompiledRegexRecursive(regex, str) {
   let strPos = 0;
   let capturedSubstring;
@@ -142,14 +327,14 @@ function matchCompiledRegexRecursive(regex, str) {
     }
 
     const minRepeat = optional ? 0 : 1;
-    const maxRepeat = canRepeat ? Infinity : 1;
+    const maxRepeat = maxRepetitions(el);
 
     // The control flow is a bit odd here. Because regex in Sortle is lazy,
     // we gotta try the minimum number of repetitions first, and then
     // backtrack if that doesn't work and add one more repetition, and so
     // on. We do this recursively. So as soon as we encounter a ! or @
     // group, we decide on whether the entire string matches right here.
-    for (let reps = minRepeat; reps < maxRepeat; reps++) {
+    for (let reps = minRepeat; reps <= maxRepeat; reps++) {
       if (reps > 0 && !consumeElement(str, strPos, chars, reps)) {
         // If we didn't match N times, we're not going to match N+1 times
         break;
@@ -219,4 +404,10 @@ function consumeElement(str, strStartPos, chars, repetitions) {
 }
 
 module.exports.evalRegex = evalRegex;
+module.exports.evalSubstringRegex = evalSubstringRegex;
+module.exports.compileRegex = compileRegex;
+module.exports.regexPrefix = regexPrefix;
+module.exports.traceSkipped = traceSkipped;
+module.exports.matchCompiledRegex = matchCompiledRegex;
+module.exports.matchCompiledRegexRecursive = matchCompiledRegexRecursive;
 module.exports.SortleRegexError = SortleRegexError;
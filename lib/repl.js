@@ -0,0 +1,424 @@
+// An interactive session for trying out Sortle, for `sortle repl`: define,
+// replace and delete expressions, take steps, and try out expressions and
+// regexes against the program state as it is.
+
+const {readFileSync, writeFileSync} = require('fs');
+const readline = require('readline');
+
+const {isRuntimeError} = require('./errors');
+const {formatSortleProgram, formatValue} = require('./format');
+const {parseSortleProgramWithErrors} = require('./parse');
+const {evalRegex, evalSubstringRegex, regexPrefix} = require('./regex');
+const {evaluate, namesToMatch, stepThroughProgram} = require('./runtime');
+const {tokenizeLine} = require('./tokenize');
+const {sortleString, toByteString} = require('./values');
+
+const PROMPT = 'sortle> ';
+const CONTINUATION_PROMPT = '    ... ';
+
+const HELP = `\
+name := terms     define an expression, or replace the one with that name
+:list             print the expressions, with > at the next to evaluate
+:step [N]         evaluate N expressions (default 1)
+:eval [name]      evaluate an expression (default the next) without renaming it
+:eval terms       evaluate terms as if they were the next expression's
+:match regex      match a regex against the names, as "regex" "" ? would
+:substr regex     match a regex against substrings of the next expression's
+                  name, as "regex" "x" ? would
+:delete name      delete an expression
+:load file.sort   replace the expressions with those in a file
+:save file.sort   save the expressions as a program
+:clear            delete all expressions
+:quit             leave (or press Ctrl-D)`;
+
+// The state of a session, taking one line of input at a time.
+class SortleRepl {
+  // Options:
+  //   strict: as for runProgram.
+  constructor(options = {}) {
+    const {strict = false} = options;
+    this.options = {strict};
+    this.quit = false;
+    this.clear();
+  }
+
+  clear() {
+    // The program state, as in runtime.js, sorted by name
+    this.expressions = [];
+    this.ip = 0;
+    this.steps = 0;
+    // Expressions' ids go up for each one defined, so they are still unique
+    // after some are deleted.
+    this.nextId = 0;
+  }
+
+  // Takes a line of input, or several joined by backslash continuations,
+  // and returns the output, as an array of lines.
+  execute(input) {
+    const matches = input.match(/^\s*:(\w*)\s*(.*?)\s*$/);
+    if (!matches) {
+      return this.define(input);
+    }
+    const [_match, command, args] = matches;
+    const commands = {
+      help: () => HELP.split('\n'),
+      list: () => this.list(),
+      step: () => this.step(args),
+      eval: () => this.evaluate(args),
+      match: () => this.match(args, false),
+      substr: () => this.match(args, true),
+      delete: () => this.delete(args),
+      load: () => this.load(args),
+      save: () => this.save(args),
+      clear: () => {
+        this.clear();
+        return [];
+      },
+      quit: () => {
+        this.quit = true;
+        return [];
+      },
+    };
+    if (!commands[command]) {
+      return [`unknown command :${command}; try :help`];
+    }
+    return commands[command]();
+  }
+
+  define(input) {
+    const {program, errors} = this.parse(input);
+    if (errors.length > 0) {
+      return syntaxErrorLines(input, errors);
+    } else if (program.length === 0) {
+      // Blank, or a comment
+      return [];
+    } else if (program.length > 1) {
+      return ['error: define one expression at a time'];
+    }
+    const [[name, terms]] = program;
+    const entry = [name, terms, this.nextId++];
+    const index = this.indexOf(name);
+    if (index < this.expressions.length && this.expressions[index][0] === name) {
+      this.expressions[index] = entry;
+      return [`replaced ${name}`];
+    }
+    this.expressions.splice(index, 0, entry);
+    if (index < this.ip || (index === this.ip && this.expressions.length > 1)) {
+      // Keep the same expression next
+      this.ip++;
+    }
+    return [`defined ${name}`];
+  }
+
+  delete(name) {
+    if (this.options.strict) {
+      name = toByteString(name);
+    }
+    const index = this.indexOf(name);
+    if (index === this.expressions.length || this.expressions[index][0] !== name) {
+      return [`error: no expression named ${displayName(name, this.options)}`];
+    }
+    this.expressions.splice(index, 1);
+    if (index < this.ip) {
+      this.ip--;
+    }
+    if (this.ip === this.expressions.length) {
+      this.ip = 0;
+    }
+    return [`deleted ${displayName(name, this.options)}`];
+  }
+
+  list() {
+    if (this.expressions.length === 0) {
+      return ['no expressions'];
+    }
+    const names = this.expressions.map(([name]) => displayName(name, this.options));
+    const nameWidth = Math.max(...names.map(name => name.length));
+    return this.expressions.map(([_name, terms], index) => (
+      `${index === this.ip ? '>' : ' '} ${names[index].padEnd(nameWidth)} := ` +
+      terms.map(term => formatValue(term, this.options)).join(' ')
+    ));
+  }
+
+  step(args) {
+    if (!/^\d*$/.test(args)) {
+      return ['usage: :step [N]'];
+    }
+    const count = args === '' ? 1 : Number(args);
+    const lines = [];
+    for (let i = 0; i < count; i++) {
+      if (this.finished(lines)) {
+        return lines;
+      }
+      let record;
+      try {
+        record = stepThroughProgram(this.expressions, this.ip, {
+          ...this.options,
+          details: false,
+        });
+      } catch (err) {
+        if (!isRuntimeError(err)) {
+          throw err;
+        }
+        lines.push(...this.runtimeErrorLines(err));
+        return lines;
+      }
+      this.ip = record.newIP;
+      this.steps++;
+      lines.push(this.describeStep(record));
+    }
+    this.finished(lines);
+    return lines;
+  }
+
+  // Whether the program can't take any more steps, adding why to lines.
+  finished(lines) {
+    if (this.expressions.length === 0) {
+      lines.push('no expressions');
+      return true;
+    } else if (this.expressions.length === 1) {
+      lines.push(`finished; output: ${displayName(this.expressions[0][0], this.options)}`);
+      return true;
+    }
+    return false;
+  }
+
+  describeStep({oldName, newName, action}) {
+    const oldShown = displayName(oldName, this.options);
+    const newShown = displayName(newName, this.options);
+    let description = `renamed to ${newShown}`;
+    if (action === 'deleted') {
+      description = 'deleted';
+    } else if (action === 'clobbered') {
+      description = `clobbered ${newShown}`;
+    }
+    return `step ${this.steps}: ${oldShown} ${description}`;
+  }
+
+  // Evaluates an expression, given by name, or else given terms as if they
+  // were the next expression's, and shows the stack after each term.
+  evaluate(args) {
+    let terms;
+    let index = this.ip;
+    if (args === '' || /^[A-Za-z]+$/.test(args)) {
+      if (args !== '') {
+        index = this.indexOf(args);
+        if (index === this.expressions.length || this.expressions[index][0] !== args) {
+          return [`error: no expression named ${args}`];
+        }
+      } else if (this.expressions.length === 0) {
+        return ['no expressions'];
+      }
+      terms = this.expressions[index][1];
+    } else {
+      const code = `eval := ${args}`;
+      const {program, errors} = this.parse(code);
+      if (errors.length > 0) {
+        return syntaxErrorLines(code, errors);
+      }
+      terms = program[0][1];
+    }
+
+    // Against a program with just this expression if there isn't one
+    const expressions = this.expressions.length > 0
+      ? this.expressions
+      : [['', terms, null]];
+    const lines = [];
+    const termWidth = Math.max(...terms.map(term => formatValue(term, this.options).length));
+    let result;
+    try {
+      result = evaluate(terms, expressions, index, this.options, ({term, stack}) => {
+        const shown = stack.map(value => formatValue(value, this.options));
+        lines.push(`  ${formatValue(term, this.options).padEnd(termWidth)}  ${shown.join(' ')}`);
+      });
+    } catch (err) {
+      if (!isRuntimeError(err)) {
+        throw err;
+      }
+      lines.push(`error: ${err.message}`);
+      return lines;
+    }
+    lines.push(`=> ${displayName(sortleString(result), this.options)}`);
+    return lines;
+  }
+
+  // Matches a regex like the ? operator does, and shows the strings tried.
+  match(regex, substrings) {
+    if (regex === '') {
+      return [`usage: :${substrings ? 'substr' : 'match'} regex`];
+    } else if (this.expressions.length === 0) {
+      return ['no expressions'];
+    }
+    if (this.options.strict) {
+      regex = toByteString(regex);
+    }
+    const trace = {candidates: [], skipped: [], matched: null};
+    let result;
+    try {
+      if (substrings) {
+        result = evalSubstringRegex(regex, this.expressions[this.ip][0], trace);
+      } else {
+        const names = namesToMatch(this.expressions, this.ip, regexPrefix(regex));
+        result = evalRegex(regex, names, trace);
+      }
+    } catch (err) {
+      if (err.name !== 'SortleRegexError') {
+        throw err;
+      }
+      return [`error: ${err.message}`];
+    }
+    const tried = trace.candidates
+      .filter((_candidate, index) => !trace.skipped.includes(index))
+      .map(candidate => displayName(candidate, this.options));
+    return [
+      `tried: ${tried.length > 0 ? tried.join(', ') : 'nothing'}`,
+      trace.matched == null
+        ? 'no match'
+        : `matched ${displayName(trace.matched, this.options)}`,
+      `=> ${displayName(result, this.options)}`,
+    ];
+  }
+
+  load(filename) {
+    if (filename === '') {
+      return ['usage: :load file.sort'];
+    }
+    let code;
+    try {
+      code = readFileSync(filename, 'utf8');
+    } catch (err) {
+      return [`error: cannot read ${filename}: ${err.message}`];
+    }
+    const {program, errors, warnings} = this.parse(code, 'warn');
+    if (errors.length > 0) {
+      return syntaxErrorLines(code, errors, filename);
+    }
+    this.clear();
+    this.expressions = program.map(([name, terms]) => [name, terms, this.nextId++]);
+    return [
+      ...warnings.map(({row, col, message}) => (
+        `${filename}:${row + 1}:${col + 1}: warning: ${message}`
+      )),
+      `loaded ${program.length} expressions`,
+    ];
+  }
+
+  // Saves the expressions as a program. Only names that can be written in
+  // source can be saved, and the program starts from the first one, wherever
+  // the session was up to.
+  save(filename) {
+    if (filename === '') {
+      return ['usage: :save file.sort'];
+    }
+    const badName = this.expressions.find(([name]) => !/^[A-Za-z]+$/.test(name));
+    if (badName) {
+      const name = displayName(badName[0], this.options);
+      return [`error: cannot save ${name}, which isn't a valid expression name`];
+    }
+    const code = formatSortleProgram(this.expressions.map(([name, terms]) => (
+      `${name} := ${terms.map(term => formatValue(term, this.options)).join(' ')}\n`
+    )).join(''));
+    try {
+      writeFileSync(filename, code);
+    } catch (err) {
+      return [`error: cannot write ${filename}: ${err.message}`];
+    }
+    const lines = [`saved ${this.expressions.length} expressions to ${filename}`];
+    if (this.ip !== 0) {
+      const [first, next] = [this.expressions[0], this.expressions[this.ip]];
+      lines.push(`note: the program will start from ${first[0]}, not ${next[0]}`);
+    }
+    return lines;
+  }
+
+  parse(code, duplicates = 'error') {
+    return parseSortleProgramWithErrors(code, {...this.options, duplicates});
+  }
+
+  // Where an expression with the given name is, or would go.
+  indexOf(name) {
+    const index = this.expressions.findIndex(([otherName]) => otherName >= name);
+    return index === -1 ? this.expressions.length : index;
+  }
+
+  runtimeErrorLines(err) {
+    const [name] = this.expressions[this.ip];
+    const lines = [
+      `error: ${err.message}`,
+      `  in expression ${displayName(name, this.options)}, at step ${this.steps + 1}`,
+    ];
+    if (err.name === 'SortleRegexError') {
+      lines.push(`  when evaluating regex: ${err.regex}`);
+    }
+    return lines;
+  }
+}
+
+// Names are shown as they would be written in source, if they can be, or
+// else quoted as a string.
+function displayName(name, options) {
+  return /^[A-Za-z]+$/.test(name) ? name : formatValue(name, options);
+}
+
+function syntaxErrorLines(code, errors, filename = null) {
+  const lines = [];
+  errors.forEach(({row, col, message}) => {
+    lines.push(code.split('\n')[row], ' '.repeat(col) + '^');
+    const where = filename ? `${filename}:${row + 1}:${col + 1}: ` : '';
+    lines.push(`${where}error: ${message}`);
+  });
+  return lines;
+}
+
+// Runs a session on the terminal, until the user quits.
+//
+// Options:
+//   strict: as for SortleRepl.
+//   file: a program to load first.
+//   input, output: streams to use instead of stdin and stdout.
+function startRepl(options = {}) {
+  const {
+    strict = false,
+    file = null,
+    input = process.stdin,
+    output = process.stdout,
+  } = options;
+  const repl = new SortleRepl({strict});
+  const print = lines => lines.forEach(line => output.write(line + '\n'));
+  const rl = readline.createInterface({input, output, prompt: PROMPT});
+
+  if (file) {
+    print(repl.execute(`:load ${file}`));
+  } else {
+    print(['Type :help for help.']);
+  }
+
+  // Lines of an expression continued with backslashes so far
+  let pending = [];
+  rl.on('line', line => {
+    if (repl.quit) {
+      // Lines that were already read when the user quit
+      return;
+    }
+    const tokens = tokenizeLine(line, 0);
+    if (tokens[tokens.length - 1].type === 'continuation' && !/^\s*:/.test(line)) {
+      pending.push(line);
+      rl.setPrompt(CONTINUATION_PROMPT);
+      rl.prompt();
+      return;
+    }
+    const text = [...pending, line].join('\n');
+    pending = [];
+    rl.setPrompt(PROMPT);
+    print(repl.execute(text));
+    if (repl.quit) {
+      rl.close();
+    } else {
+      rl.prompt();
+    }
+  });
+  rl.prompt();
+}
+
+module.exports.SortleRepl = SortleRepl;
+module.exports.startRepl = startRepl;
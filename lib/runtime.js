@@ -1,146 +1,384 @@
-const {evalRegex} = require('./regex');
+const {SortleError, isRuntimeError} = require('./errors');
+const {evalRegex, evalSubstringRegex, regexPrefix, traceSkipped} = require('./regex');
+const {add, multiply, sortleNumber, sortleString} = require('./values');
 
-class SortleRuntimeError extends Error {
+// Runtime errors, and regex errors from regex.js, get more fields once the
+// interpreter catches them (see SortleInterpreter#annotateError):
+//   termIndex: index of the term being applied, if the error was in one
+//   expressionName: current name of the expression being evaluated
+//   origName: its name in the original program
+//   step: number of the step that failed
+//   span: source span of the term or expression, if the program has them
+class SortleRuntimeError extends SortleError {
   constructor(message) {
-    super();
+    super(message);
     this.name = 'SortleRuntimeError';
-    this.message = message;
+    this.termIndex = null;
+    this.expressionName = null;
+    this.origName = null;
+    this.step = null;
+  }
+}
+
+// Thrown by runProgram when the program is stopped before it finishes,
+// because it ran too many steps, ran past its time limit or was aborted.
+// Carries the program state at the point it was stopped.
+class SortleLimitError extends SortleError {
+  constructor(reason, steps, expressions, ip) {
+    super();
+    this.name = 'SortleLimitError';
+    this.reason = reason; // 'steps' | 'timeout' | 'aborted'
+    this.steps = steps;
+    this.expressions = expressions;
+    this.ip = ip;
+    // As from SortleInterpreter#saveState, to resume from
+    this.state = null;
+    if (reason === 'steps') {
+      this.message = `step limit reached after ${steps} steps`;
+    } else if (reason === 'timeout') {
+      this.message = `time limit reached after ${steps} steps`;
+    } else {
+      this.message = `aborted after ${steps} steps`;
+    }
   }
 }
 
 // A program, or program state, is an array of [expression name, expression]
-// tuples. This is initially created by the parser from Sortle code.
+// tuples. This is initially created by the parser from Sortle code, which
+// adds a third element to each tuple giving its source location (see
+// parse.js). In the interpreter's program state, the third element is
+// instead a stable numeric id, which identifies the expression however it is
+// renamed; its source location can be looked up in the original program.
 //
 // An expression is an array of this union:
 //  number | string | {
 //    type: 'operator',
 //    value: '+' | '*' | '/' | '%' | '^' | '~' | '?' | '$',
 //  }
-function runProgram(expressions) {
-  if (expressions.length === 0) {
-    throw new SortleRuntimeError('program must have at least one expression');
+//
+// Options:
+//   strict: if true, numbers wrap modulo 2**32, strings are byte strings and
+//     division or modulo by zero is an error. The program must have been
+//     parsed in strict mode too. Default false.
+//   maxSteps: stop with a SortleLimitError after evaluating this many
+//     expressions. Default Infinity.
+//   timeout: stop with a SortleLimitError once this many milliseconds have
+//     passed. Default Infinity.
+//   signal: an AbortSignal; stop with a SortleLimitError once it is aborted.
+//   onStep: called after every step with the step record (see
+//     stepThroughProgram) and the current program state.
+//   evaluators: functions to evaluate each expression of the program with,
+//     in order, instead of interpreting its terms; see compile.js.
+//   state: state to resume from, as returned by SortleInterpreter#saveState,
+//     instead of starting from the beginning. maxSteps then counts only the
+//     steps taken from there.
+function runProgram(expressions, options = {}) {
+  const {state = null} = options;
+  const interpreter = new SortleInterpreter(expressions, {
+    ...options,
+    details: false,
+  });
+  if (state) {
+    interpreter.restoreState(state);
   }
+  return interpreter.run(options);
+}
 
-  // Make a copy to reuse program code as program state
-  expressions = [...expressions];
-
-  let ip = 0;
-  while (expressions.length > 1) {
-    ip = stepThroughProgram(expressions, ip);
+// Runs a program one step at a time, keeping track of each expression's
+// identity as it is renamed. Takes the same strict option as runProgram, and:
+//   details: if true (the default), step records include the stack after
+//     each term and the regex matches attempted.
+//   onTerm: called as each term of an expression is applied; see evaluate().
+//     Unlike step records, this also reports the terms evaluated before a
+//     runtime error.
+class SortleInterpreter {
+  constructor(program, options = {}) {
+    if (program.length === 0) {
+      throw new SortleRuntimeError('program must have at least one expression');
+    }
+    this.program = program;
+    this.options = {details: true, ...options};
+    // Make a copy to reuse program code as program state
+    this.expressions = program.map(([name, terms], id) => [name, terms, id]);
+    this.ip = 0;
+    this.steps = 0;
   }
 
-  // Return final expression
-  return expressions[0][0];
-}
+  get finished() {
+    return this.expressions.length === 1;
+  }
 
-// Takes one step through program and returns new instruction pointer.
-// Assumptions: expressions.length >= 2, and 0 <= ip < expressions.length.
-// Mutates the `expressions` array.
-function stepThroughProgram(expressions, ip) {
-  const [_name, terms] = expressions[ip];
-  const newName = sortleString(evaluate(terms, expressions, ip));
-  const newEntry = [newName, terms];
-
-  expressions.splice(ip, 1);
-  if (newName !== '') {
-    let indexToInsertBefore = expressions.findIndex(otherExpression => (
-      otherExpression[0] >= newName
-    ));
-    if (indexToInsertBefore === -1) {
-      indexToInsertBefore = expressions.length;
-    }
-    const clobbering = (
-      indexToInsertBefore < expressions.length &&
-      expressions[indexToInsertBefore][0] === newName
-    );
-    expressions.splice(
-      indexToInsertBefore,
-      clobbering ? 1 : 0,
-      newEntry,
-    );
-    ip = indexToInsertBefore + 1;
+  // The program's output once it has finished, else null.
+  get result() {
+    return this.finished ? this.expressions[0][0] : null;
   }
 
-  if (ip === expressions.length) {
-    ip = 0;
+  // The state needed to carry on from this point, given the same program:
+  // {expressions: Array<[name, id]>, ip, steps}. See snapshot.js to save it.
+  saveState() {
+    return {
+      expressions: this.expressions.map(([name, _terms, id]) => [name, id]),
+      ip: this.ip,
+      steps: this.steps,
+    };
   }
 
-  return ip;
-}
+  // Carries on from a state returned by saveState. The state should have
+  // been checked against the program first (see snapshot.js).
+  restoreState({expressions, ip, steps}) {
+    this.expressions = expressions.map(([name, id]) => [name, this.program[id][1], id]);
+    this.ip = ip;
+    this.steps = steps;
+  }
 
-function sortleString(input) {
-  if (typeof input === 'string') {
-    return input;
-  } else if (input === 0) {
-    // Weird Sortle stringification behavior for 0 is the only reason this
-    // function exists.
-    return '';
-  } else {
-    return String(input);
+  // The name an expression had in the original program.
+  origName(id) {
+    return this.program[id][0];
   }
-}
 
-function sortleNumber(input) {
-  if (typeof input === 'number') {
-    return input;
+  // Evaluates one expression and returns its step record.
+  step() {
+    if (this.finished) {
+      throw new SortleRuntimeError('program has already finished');
+    }
+    let record;
+    try {
+      record = stepThroughProgram(this.expressions, this.ip, this.options);
+    } catch (err) {
+      this.annotateError(err);
+      throw err;
+    }
+    this.ip = record.newIP;
+    this.steps++;
+    record.step = this.steps;
+    return record;
   }
-  // Unlike the built-in JS conversion, which will fall back to NaN, Sortle
-  // treats any non-numeric string as 0, and if a string begins with one or
-  // more digits, Sortle will interpret those as a number, ignoring any
-  // non-numeric parts that come after.
-  return Number('0' + input.match(/^[0-9]*/)[0]);
-}
 
-function evaluate(terms, expressions, ip) {
-  const stack = [];
+  // Steps until the program finishes, and returns its output. Takes the
+  // maxSteps, timeout, signal and onStep options of runProgram, with maxSteps
+  // counting from the current step.
+  run(options = {}) {
+    const {
+      maxSteps = Infinity,
+      timeout = Infinity,
+      signal = null,
+      onStep,
+    } = options;
 
-  for (const term of terms) {
-    if (typeof term === 'string' || typeof term === 'number') {
-      stack.push(term);
-      continue;
+    const startSteps = this.steps;
+    const deadline = Date.now() + timeout;
+    const stop = (reason) => {
+      const err = new SortleLimitError(reason, this.steps, this.expressions, this.ip);
+      err.state = this.saveState();
+      return err;
+    };
+    while (!this.finished) {
+      if (this.steps - startSteps >= maxSteps) {
+        throw stop('steps');
+      } else if (Date.now() >= deadline) {
+        throw stop('timeout');
+      } else if (signal && signal.aborted) {
+        throw stop('aborted');
+      }
+      const record = this.step();
+      if (onStep) {
+        onStep(record, this.expressions);
+      }
     }
 
-    if (stack.length < 2) {
-      throw new SortleRuntimeError(
-        `cannot execute ${term.value}: ` +
-        `need 2 elements on stack, have ${stack.length}`
+    return this.result;
+  }
+
+  // Evaluates the current expression without taking the step, returning the
+  // name it would be given. Calls `onTerm` for each term, like the option.
+  peek(onTerm = null) {
+    const [_name, terms] = this.expressions[this.ip];
+    try {
+      return sortleString(
+        evaluate(terms, this.expressions, this.ip, this.options, onTerm)
       );
+    } catch (err) {
+      this.annotateError(err);
+      throw err;
+    }
+  }
+
+  // Adds details of where the program was to an error thrown while
+  // evaluating the current expression.
+  annotateError(err) {
+    if (!isRuntimeError(err)) {
+      return;
+    }
+    const [name, _terms, id] = this.expressions[this.ip];
+    err.expressionName = name;
+    err.origName = this.origName(id);
+    err.step = this.steps + 1;
+    const source = this.program[id][2];
+    if (source && err.termIndex != null) {
+      err.span = source.terms[err.termIndex];
+    } else if (source) {
+      const {row, col, endRow, endCol} = source;
+      err.span = {row, col, endRow, endCol};
     }
-    const op1 = stack.pop();
-    const op2 = stack.pop();
-    if (term.value === '+') {
-      stack.push(sortleNumber(op1) + sortleNumber(op2));
-    } else if (term.value === '*') {
-      stack.push(sortleNumber(op1) * sortleNumber(op2));
-    } else if (term.value === '/') {
-      stack.push(Math.floor(sortleNumber(op1) / sortleNumber(op2)));
-    } else if (term.value === '%') {
-      stack.push(sortleNumber(op1) % sortleNumber(op2));
-    } else if (term.value === '^' || term.value === '$') {
-      const sop1 = sortleString(op1);
-      const sop2 = sortleString(op2);
-      stack.push(sop1 > sop2 ? sop1 : sop2);
-    } else if (term.value === '~') {
-      stack.push(sortleString(op2) + sortleString(op1));
-    } else if (term.value === '?') {
-      if (sortleString(op1) !== '') {
-        throw new SortleRuntimeError('substring regex form not implemented');
+  }
+
+  // Reverts the latest step, given its record. Only the fields needed to
+  // describe the change are used (id, ip, oldName, newName, action,
+  // clobberedId and newIP), so compact copies of records work too.
+  undoStep(record) {
+    const {id, ip, oldName, newName, action, clobberedId, newIP} = record;
+    const expressions = this.expressions;
+    if (action !== 'deleted') {
+      // Where the evaluated expression ended up; see stepThroughProgram.
+      const index = newIP === 0 ? expressions.length - 1 : newIP - 1;
+      if (action === 'clobbered') {
+        const clobberedEntry = [newName, this.program[clobberedId][1], clobberedId];
+        expressions.splice(index, 1, clobberedEntry);
+      } else {
+        expressions.splice(index, 1);
       }
+    }
+    expressions.splice(ip, 0, [oldName, this.program[id][1], id]);
+    this.ip = ip;
+    this.steps--;
+  }
 
-      // According to an older spec, the order of testing is reverse order,
-      // starting prior to instruction pointer.
-      const expressionsToMatch =
-        expressions.slice(0, ip)
-          .reverse()
-          .concat(expressions.slice(ip + 1).reverse());
+  // Repeats a step that was undone, given its record, without evaluating
+  // the expression again.
+  redoStep(record) {
+    const {id, ip, newName, action, newIP} = record;
+    const expressions = this.expressions;
+    expressions.splice(ip, 1);
+    if (action !== 'deleted') {
+      const newEntry = [newName, this.program[id][1], id];
+      if (action === 'clobbered') {
+        const index = newIP === 0 ? expressions.length - 1 : newIP - 1;
+        expressions.splice(index, 1, newEntry);
+      } else {
+        const index = newIP === 0 ? expressions.length : newIP - 1;
+        expressions.splice(index, 0, newEntry);
+      }
+    }
+    this.ip = newIP;
+    this.steps++;
+  }
+}
 
-      stack.push(evalRegex(
-        sortleString(op2),
-        expressionsToMatch.map(([name, terms]) => name),
-      ));
+// Takes one step through program and returns a record of what happened.
+// Assumptions: expressions.length >= 2, and 0 <= ip < expressions.length.
+// Mutates the `expressions` array.
+//
+// The record looks like:
+// {
+//   id: number | undefined, // stable id of the evaluated expression, if any
+//   ip: number, // index of the evaluated expression before the step
+//   oldName: string,
+//   newName: string,
+//   action: 'renamed' | 'deleted' | 'clobbered',
+//   clobberedId: number | undefined, // id of the expression clobbered
+//   newIP: number,
+//
+//   // Only if options.details is true:
+//   stacks: Array<Array<number | string>>, // stack after each term
+//   regexMatches: Array<{
+//     regex: string,
+//     subject: string | null, // own name, for the substring form of regex
+//     candidates: Array<string>, // strings considered, in order
+//     skipped: Array<number>, // indices of candidates skipped by prefix
+//     matched: string | null, // the candidate that matched, if any
+//     result: string,
+//   }>,
+// }
+function stepThroughProgram(expressions, ip, options = {}) {
+  const [oldName, terms, id] = expressions[ip];
+  const {details, onTerm} = options;
+  const stacks = [];
+  const regexMatches = [];
+  let termHook = null;
+  if (details || onTerm) {
+    termHook = (event) => {
+      if (details) {
+        stacks.push(event.stack);
+        if (event.regexMatch) {
+          regexMatches.push(event.regexMatch);
+        }
+      }
+      if (onTerm) {
+        onTerm(event);
+      }
+    };
+  }
+  // Compiled evaluators can't report on each term.
+  const evaluator = !termHook && options.evaluators ? options.evaluators[id] : null;
+  const newName = sortleString(evaluator
+    ? evaluator(expressions, ip)
+    : evaluate(terms, expressions, ip, options, termHook));
+  const newEntry = [newName, terms, id];
+  const record = {id, ip, oldName, newName, action: 'renamed'};
+
+  if (newName === '') {
+    record.action = 'deleted';
+    expressions.splice(ip, 1);
+  } else {
+    // Where the expression goes once it's taken out of the array.
+    // Expressions are sorted by name, so we can binary search for it, and
+    // the entry at ip itself is before it if and only if its old name is.
+    let index = lowerBound(expressions, newName);
+    if (index > ip) {
+      index--;
+    }
+    // The entry that would follow it, counting as if the one at ip was gone
+    const nextIndex = index < ip ? index : index + 1;
+    if (nextIndex < expressions.length && expressions[nextIndex][0] === newName) {
+      record.action = 'clobbered';
+      record.clobberedId = expressions[nextIndex][2];
+      expressions[nextIndex] = newEntry;
+      expressions.splice(ip, 1);
     } else {
-      throw new SortleRuntimeError(`internal error: unimplemented operator ${term.value}`);
+      // Shift the expressions in between along by one, rather than
+      // removing and inserting, which would move everything after them.
+      for (let i = ip; i > index; i--) {
+        expressions[i] = expressions[i - 1];
+      }
+      for (let i = ip; i < index; i++) {
+        expressions[i] = expressions[i + 1];
+      }
+      expressions[index] = newEntry;
     }
+    ip = index + 1;
+  }
+
+  if (ip === expressions.length) {
+    ip = 0;
+  }
+
+  record.newIP = ip;
+  if (details) {
+    record.stacks = stacks;
+    record.regexMatches = regexMatches;
+  }
+  return record;
+}
+
+// If `onTerm` is given, it is called after each term is applied with
+// {index, term, stack, regexMatch}: the term's index in `terms`, the term, a
+// copy of the stack after it, and for a ? operator, a description of the
+// regex match like those in step records (see stepThroughProgram), else null.
+function evaluate(terms, expressions, ip, options, onTerm = null) {
+  const stack = [];
+  let termIndex = null;
+  try {
+    for (const [index, term] of terms.entries()) {
+      termIndex = index;
+      applyTerm(term, stack, expressions, ip, options, onTerm && (
+        regexMatch => onTerm({index, term, stack: [...stack], regexMatch})
+      ));
+    }
+  } catch (err) {
+    if (isRuntimeError(err) && err.termIndex == null) {
+      err.termIndex = termIndex;
+    }
+    throw err;
   }
 
   if (stack.length !== 1) {
@@ -152,6 +390,145 @@ function evaluate(terms, expressions, ip) {
   return stack[0];
 }
 
+// Applies one term to the stack. If `onApplied` is given, calls it after
+// with a description of the regex match (for ? operators) or null.
+function applyTerm(term, stack, expressions, ip, {strict = false}, onApplied) {
+  if (typeof term === 'string' || typeof term === 'number') {
+    stack.push(term);
+    if (onApplied) {
+      onApplied(null);
+    }
+    return;
+  }
+
+  if (stack.length < 2) {
+    throw new SortleRuntimeError(
+      `cannot execute ${term.value}: ` +
+      `need 2 elements on stack, have ${stack.length}`
+    );
+  }
+  const op1 = stack.pop();
+  const op2 = stack.pop();
+  let regexMatch = null;
+  if (term.value === '+') {
+    stack.push(add(sortleNumber(op1, strict), sortleNumber(op2, strict), strict));
+  } else if (term.value === '*') {
+    stack.push(multiply(sortleNumber(op1, strict), sortleNumber(op2, strict), strict));
+  } else if (term.value === '/' || term.value === '%') {
+    const nop1 = sortleNumber(op1, strict);
+    const nop2 = sortleNumber(op2, strict);
+    if (strict && nop2 === 0) {
+      throw new SortleRuntimeError(
+        `cannot execute ${term.value}: division by zero`
+      );
+    }
+    stack.push(term.value === '/' ? Math.floor(nop1 / nop2) : nop1 % nop2);
+  } else if (term.value === '^' || term.value === '$') {
+    const sop1 = sortleString(op1);
+    const sop2 = sortleString(op2);
+    stack.push(sop1 > sop2 ? sop1 : sop2);
+  } else if (term.value === '~') {
+    stack.push(sortleString(op2) + sortleString(op1));
+  } else if (term.value === '?') {
+    const regex = sortleString(op2);
+    const regexTrace = onApplied && {candidates: [], skipped: [], matched: null};
+    let subject = null;
+    let result;
+    if (sortleString(op1) !== '') {
+      // Match against substrings of this expression's own name instead.
+      subject = expressions[ip][0];
+      result = evalSubstringRegex(regex, subject, regexTrace);
+    } else {
+      const onSkipped = regexTrace && (name => traceSkipped(regexTrace, name));
+      const names = namesToMatch(expressions, ip, regexPrefix(regex), onSkipped);
+      result = evalRegex(regex, names, regexTrace);
+    }
+    stack.push(result);
+    if (onApplied) {
+      regexMatch = {regex, subject, ...regexTrace, result};
+    }
+  } else {
+    throw new SortleRuntimeError(`internal error: unimplemented operator ${term.value}`);
+  }
+  if (onApplied) {
+    onApplied(regexMatch);
+  }
+}
+
+// Index of the first expression whose name is not less than `name`, or
+// expressions.length if there is none.
+function lowerBound(expressions, name) {
+  let low = 0;
+  let high = expressions.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (expressions[mid][0] < name) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// The names a regex is matched against, in order, without copying the
+// program state. According to an older spec, the order of testing is reverse
+// order, starting prior to instruction pointer. Only names beginning with
+// `prefix` could match, and being sorted, those are all together, so the
+// rest are passed over without looking at them. For tracing, `onSkipped`
+// can be given to be called with each of those in turn instead, in order
+// with the names yielded.
+function* namesToMatch(expressions, ip, prefix = '', onSkipped = null) {
+  const start = lowerBound(expressions, prefix);
+  const end = prefixEnd(expressions, prefix, start);
+  if (onSkipped) {
+    for (const i of indicesToMatch(expressions, ip)) {
+      if (i >= start && i < end) {
+        yield expressions[i][0];
+      } else {
+        onSkipped(expressions[i][0]);
+      }
+    }
+    return;
+  }
+  for (let i = Math.min(ip, end) - 1; i >= start; i--) {
+    yield expressions[i][0];
+  }
+  for (let i = end - 1; i >= Math.max(ip + 1, start); i--) {
+    yield expressions[i][0];
+  }
+}
+
+function* indicesToMatch(expressions, ip) {
+  for (let i = ip - 1; i >= 0; i--) {
+    yield i;
+  }
+  for (let i = expressions.length - 1; i > ip; i--) {
+    yield i;
+  }
+}
+
+// Index of the first expression from `start` on whose name doesn't begin
+// with `prefix`, given that none before `start` come after the prefix.
+function prefixEnd(expressions, prefix, start) {
+  let low = start;
+  let high = expressions.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (expressions[mid][0].startsWith(prefix)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
 module.exports.runProgram = runProgram;
+module.exports.SortleInterpreter = SortleInterpreter;
 module.exports.stepThroughProgram = stepThroughProgram;
+module.exports.evaluate = evaluate;
+module.exports.applyTerm = applyTerm;
+module.exports.namesToMatch = namesToMatch;
 module.exports.SortleRuntimeError = SortleRuntimeError;
+module.exports.SortleLimitError = SortleLimitError;
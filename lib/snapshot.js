@@ -0,0 +1,131 @@
+// Snapshots save the state of a running program, so that it can be resumed
+// later. A snapshot is JSON like:
+// {
+//   format: 'sortle-snapshot',
+//   version: 1,
+//   sourceHash: string, // adler-32 of the program's source and inputs, as
+//                       // 8 hex digits
+//   strict: boolean, // whether the program was running in strict mode
+//   steps: number,
+//   ip: number,
+//   expressions: Array<[string, number]>, // name and id of each expression
+// }
+//
+// Expressions are identified by id (see runtime.js) rather than saving their
+// terms, so a snapshot can only be resumed along with the program's source,
+// and the hash makes sure it's the same source.
+
+const ADLER32 = require('adler-32');
+
+const {SortleError} = require('./errors');
+
+const SNAPSHOT_FORMAT = 'sortle-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+class SortleSnapshotError extends SortleError {
+  constructor(message) {
+    super(message);
+    this.name = 'SortleSnapshotError';
+  }
+}
+
+// Returns the snapshot as a JSON string, given a state from
+// SortleInterpreter#saveState and the program's source code.
+//
+// Options:
+//   strict: whether the program is running in strict mode. Default false.
+//   inputs: the inputs the program was run with (see inputs.js), if any. A
+//     snapshot can only be resumed with the same inputs.
+function createSnapshot(state, code, options = {}) {
+  const {strict = false, inputs = []} = options;
+  const {expressions, ip, steps} = state;
+  return JSON.stringify({
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    sourceHash: sourceHash(code, inputs),
+    strict,
+    steps,
+    ip,
+    expressions,
+  });
+}
+
+// Reads a snapshot for the given program, parsed from the given source
+// code, and returns a state to pass to SortleInterpreter#restoreState or
+// runProgram. Takes the same options as createSnapshot.
+//
+// Throws a SortleSnapshotError if the snapshot is invalid, or doesn't belong
+// to this program.
+function readSnapshot(json, program, code, options = {}) {
+  const {strict = false, inputs = []} = options;
+  let snapshot;
+  try {
+    snapshot = JSON.parse(json);
+  } catch (e) {
+    throw new SortleSnapshotError(`snapshot is not valid JSON: ${e.message}`);
+  }
+
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new SortleSnapshotError('not a Sortle snapshot');
+  } else if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new SortleSnapshotError(
+      `unsupported snapshot version ${snapshot.version} ` +
+      `(expected ${SNAPSHOT_VERSION})`
+    );
+  } else if (snapshot.sourceHash !== sourceHash(code, inputs)) {
+    throw new SortleSnapshotError(
+      'snapshot was taken of a different program, or the program or its ' +
+      'inputs have changed'
+    );
+  } else if (snapshot.strict !== strict) {
+    throw new SortleSnapshotError(
+      `snapshot was taken ${snapshot.strict ? 'in' : 'outside of'} strict mode`
+    );
+  }
+
+  const {expressions, ip, steps} = snapshot;
+  if (!isCount(steps)) {
+    throw new SortleSnapshotError('invalid step count');
+  } else if (!Array.isArray(expressions) || expressions.length === 0) {
+    throw new SortleSnapshotError('invalid expression list');
+  } else if (!isCount(ip) || ip >= expressions.length) {
+    throw new SortleSnapshotError('invalid instruction pointer');
+  }
+
+  const seenIds = new Set();
+  expressions.forEach((entry, index) => {
+    const [name, id] = Array.isArray(entry) ? entry : [];
+    if (
+      typeof name !== 'string'
+      || name === ''
+      || !isCount(id)
+      || id >= program.length
+      || seenIds.has(id)
+    ) {
+      throw new SortleSnapshotError(`invalid expression at index ${index}`);
+    }
+    // The program state is always sorted by name, with no duplicates.
+    if (index > 0 && !(expressions[index - 1][0] < name)) {
+      throw new SortleSnapshotError(`expression at index ${index} is out of order`);
+    }
+    seenIds.add(id);
+  });
+
+  return {expressions, ip, steps};
+}
+
+// Inputs change the program as much as its source does, so count towards
+// the hash, while a program without inputs hashes just its source.
+function sourceHash(code, inputs) {
+  const hashed = inputs.length > 0 ? code + '\n' + JSON.stringify(inputs) : code;
+  const checksum = ADLER32.str(hashed) >>> 0;
+  return ('0000000' + checksum.toString(16)).slice(-8);
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+module.exports.createSnapshot = createSnapshot;
+module.exports.readSnapshot = readSnapshot;
+module.exports.SortleSnapshotError = SortleSnapshotError;
@@ -0,0 +1,102 @@
+// Splits Sortle source into tokens. The parser decides which tokens are
+// allowed where; the tokenizer only knows what each piece of a line looks
+// like, so that tools like a syntax highlighter can share its rules.
+//
+// A token looks like:
+// {
+//   type: 'name' | 'separator' | 'string' | 'unterminated' | 'operator'
+//     | 'number' | 'comment' | 'continuation' | 'invalid' | 'end',
+//   text: string, // exactly as in the source
+//   row: number,
+//   col: number,
+//   endCol: number, // exclusive
+//   badFollow: boolean, // followed by something other than a space
+// }
+//
+// 'name' is any run of letters, whether or not it's in a place where a name
+// is allowed. 'unterminated' is a string missing its closing quote, running
+// to the end of the line. 'continuation' is a backslash ending the line
+// (extension to the 2005 spec), and 'invalid' is any other character that
+// can't start a token. Each line's tokens end with either a 'continuation'
+// or an 'end' token, the latter at the end of the line.
+
+const OPERATORS = [
+  '+',
+  '*',
+  '/',
+  '%',
+  '^',
+  '~',
+  '?',
+  '$',
+];
+
+function tokenize(code) {
+  const tokens = [];
+  code.split('\n').forEach((line, row) => {
+    tokens.push(...tokenizeLine(line, row));
+  });
+  return tokens;
+}
+
+function tokenizeLine(line, row) {
+  const tokens = [];
+  let col = 0;
+
+  const pushToken = (type, length) => {
+    const endCol = col + length;
+    tokens.push({
+      type,
+      text: line.substr(col, length),
+      row,
+      col,
+      endCol,
+      badFollow: (
+        line.length > endCol && line[endCol] !== ' '
+        && !(line[endCol] === '\\' && line.length === endCol + 1)
+      ),
+    });
+    col = endCol;
+  };
+
+  for (;;) {
+    // Skip whitespace
+    col += line.substr(col).match(/^\s*/)[0].length;
+
+    if (col === line.length) {
+      pushToken('end', 0);
+      return tokens;
+    } else if (line[col] === '#') {
+      pushToken('comment', line.length - col);
+      pushToken('end', 0);
+      return tokens;
+    } else if (line[col] === '\\' && col + 1 === line.length) {
+      pushToken('continuation', 1);
+      return tokens;
+    }
+
+    let matches;
+    if ((matches = line.substr(col).match(/^[A-Za-z]+/))) {
+      pushToken('name', matches[0].length);
+    } else if (line.substr(col, 2) === ':=') {
+      pushToken('separator', 2);
+    } else if (line[col] === '"') {
+      matches = line.substr(col).match(/^"[^"]*"/);
+      if (matches) {
+        pushToken('string', matches[0].length);
+      } else {
+        pushToken('unterminated', line.length - col);
+      }
+    } else if (OPERATORS.includes(line[col])) {
+      pushToken('operator', 1);
+    } else if ((matches = line.substr(col).match(/^\d+/))) {
+      pushToken('number', matches[0].length);
+    } else {
+      pushToken('invalid', 1);
+    }
+  }
+}
+
+module.exports.tokenize = tokenize;
+module.exports.tokenizeLine = tokenizeLine;
+module.exports.OPERATORS = OPERATORS;
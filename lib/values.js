@@ -0,0 +1,95 @@
+// Conversions and arithmetic on Sortle values, which are strings and
+// numbers.
+//
+// By default, numbers are JavaScript doubles and strings are JavaScript
+// strings. In strict mode, which follows the spec and the reference Perl
+// interpreter, numbers are unsigned 32-bit integers that wrap around, and
+// strings are sequences of bytes. Byte strings are represented as JavaScript
+// strings in which every character code is between 0 and 255, so that
+// comparison and concatenation work on them unchanged.
+
+const WORD = 4294967296; // 2**32
+
+function sortleString(input) {
+  if (typeof input === 'string') {
+    return input;
+  } else if (input === 0) {
+    // Weird Sortle stringification behavior for 0 is the only reason this
+    // function exists.
+    return '';
+  } else {
+    return String(input);
+  }
+}
+
+function sortleNumber(input, strict = false) {
+  if (typeof input === 'number') {
+    return input;
+  }
+  // Unlike the built-in JS conversion, which will fall back to NaN, Sortle
+  // treats any non-numeric string as 0, and if a string begins with one or
+  // more digits, Sortle will interpret those as a number, ignoring any
+  // non-numeric parts that come after.
+  return parseDigits(input.match(/^[0-9]*/)[0], strict);
+}
+
+// Convert a string of decimal digits (possibly empty, meaning 0) to a number.
+// In strict mode, the result is reduced modulo 2**32 digit by digit, so no
+// precision is lost however long the string is.
+function parseDigits(digits, strict = false) {
+  if (!strict) {
+    return Number('0' + digits);
+  }
+  let result = 0;
+  for (let i = 0; i < digits.length; i++) {
+    result = (result * 10 + Number(digits[i])) % WORD;
+  }
+  return result;
+}
+
+function add(a, b, strict = false) {
+  return strict ? (a + b) % WORD : a + b;
+}
+
+function multiply(a, b, strict = false) {
+  // Math.imul gives the low 32 bits of the product, which is exactly the
+  // product modulo 2**32 once reinterpreted as unsigned.
+  return strict ? Math.imul(a, b) >>> 0 : a * b;
+}
+
+// Encode a string as UTF-8, returning a byte string.
+function toByteString(str) {
+  let bytes = '';
+  for (const chr of str) {
+    const code = chr.codePointAt(0);
+    if (code < 0x80) {
+      bytes += chr;
+    } else if (code < 0x800) {
+      bytes += String.fromCharCode(
+        0xc0 | (code >> 6),
+        0x80 | (code & 0x3f),
+      );
+    } else if (code < 0x10000) {
+      bytes += String.fromCharCode(
+        0xe0 | (code >> 12),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      );
+    } else {
+      bytes += String.fromCharCode(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      );
+    }
+  }
+  return bytes;
+}
+
+module.exports.sortleString = sortleString;
+module.exports.sortleNumber = sortleNumber;
+module.exports.parseDigits = parseDigits;
+module.exports.add = add;
+module.exports.multiply = multiply;
+module.exports.toByteString = toByteString;
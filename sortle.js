@@ -1,67 +1,486 @@
 #!/usr/bin/env node
 
-const {readFileSync} = require('fs');
-const {SortleSyntaxError, parseSortleProgram} = require('./lib/parse');
-const {SortleRegexError} = require('./lib/regex');
-const {SortleRuntimeError, runProgram} = require('./lib/runtime');
+const {readFileSync, writeFileSync} = require('fs');
+const {compileProgram, compileToScript} = require('./lib/compile');
+const {formatSortleProgram} = require('./lib/format');
+const {findGoldenTests, runGoldenTest} = require('./lib/golden');
+const {lintSortleProgram} = require('./lib/lint');
+const {isRuntimeError} = require('./lib/errors');
+const {addInputs, parseInputDefinition, validateInputName} = require('./lib/inputs');
+const {parseSortleProgramWithErrors} = require('./lib/parse');
+const {startRepl} = require('./lib/repl');
+const {createSnapshot, readSnapshot} = require('./lib/snapshot');
+const {runProgram} = require('./lib/runtime');
+
+// Flags that can be given more than once, and take their value either after
+// an = or as the next argument, like --define n=10. Their values are
+// collected in an array.
+const LIST_FLAGS = ['define', 'define-file'];
+
+// The flags each command takes. Any other flag is a usage error.
+const COMMAND_FLAGS = {
+  run: [
+    'strict', 'max-steps', 'timeout', 'trace', 'trace-format', 'duplicates',
+    'save-state', 'resume', 'compile', 'define', 'define-file', 'stdin',
+  ],
+  lint: ['format', 'strict'],
+  fmt: ['check', 'write', 'width'],
+  compile: ['strict'],
+  repl: ['strict'],
+  test: ['compile'],
+};
 
 main(process.argv);
 
 
 
 function main(argv) {
-  if (argv[2]) {
-    runSortleFile(argv[2]);
-  } else {
+  const {args, flags, firstLiteral} = parseArgs(argv.slice(2));
+  const commands = {
+    lint: lintCommand,
+    fmt: fmtCommand,
+    compile: compileCommand,
+    repl: replCommand,
+    test: testCommand,
+  };
+  // A program named like a command is run if it comes after --.
+  const command = firstLiteral > 0 && commands[args[0]] ? args.shift() : 'run';
+  const unknownFlag = Object.keys(flags).find(flag => (
+    !COMMAND_FLAGS[command].includes(flag)
+    && !(LIST_FLAGS.includes(flag) && flags[flag].length === 0)
+  ));
+  if (unknownFlag) {
+    console.error(`error: unknown option: --${unknownFlag}`);
     usage();
+    process.exit(1);
+  }
+  const ok = (commands[command] || runCommand)(args, flags);
+  if (!ok) {
+    usage();
+    process.exit(1);
   }
 }
 
 function usage() {
-  console.log('usage: sortle myprogram.sort');
+  console.log('usage: sortle [options] myprogram.sort');
+  console.log('       sortle lint [--format=json] [--strict] myprogram.sort');
+  console.log('       sortle fmt [--check | --write] [--width=N] myprogram.sort...');
+  console.log('       sortle compile [--strict] myprogram.sort > myprogram.js');
+  console.log('       sortle repl [--strict] [myprogram.sort]');
+  console.log('       sortle test [--compile] directory');
+  console.log('');
+  console.log('  --strict          use spec byte strings and modulo 2**32 arithmetic');
+  console.log('  --max-steps=N     stop after evaluating N expressions');
+  console.log('  --timeout=MS      stop after MS milliseconds');
+  console.log('  --compile         compile expressions to JavaScript before running');
+  console.log('  --trace           print each step to stderr');
+  console.log('  --trace-format=F  trace as text (default) or json, one object per line');
+  console.log('  --save-state=FILE if stopped by a limit, save the state to FILE');
+  console.log('  --resume=FILE     carry on from a state saved with --save-state');
+  console.log('  --duplicates=P    on duplicate expression names: warn (default), clobber');
+  console.log('                    (the later definition wins silently) or error');
+  console.log('  --define NAME=VALUE');
+  console.log('                    add an expression NAME := "VALUE", replacing any of that name');
+  console.log('  --define-file NAME=FILE');
+  console.log('                    the same, with the contents of FILE');
+  console.log('  --stdin=NAME      the same, with everything read from standard input');
+  console.log('');
+  console.log('To run a program named like a command, give it after --, like');
+  console.log('sortle -- lint, or as a path, like sortle ./lint.');
 }
 
-function runSortleFile(filename) {
+// Each command takes the positional arguments after the command name, and
+// the flags, and returns false if they aren't valid.
+function runCommand(filenames, flags) {
+  const maxSteps = parseLimitFlag(flags['max-steps']);
+  const timeout = parseLimitFlag(flags.timeout);
+  const traceFormat = flags['trace-format'] || (flags.trace ? 'text' : null);
+  const duplicates = flags.duplicates || 'warn';
+  const inputs = readInputs(flags);
+  if (
+    filenames.length === 1
+    && maxSteps != null
+    && timeout != null
+    && [null, 'text', 'json'].includes(traceFormat)
+    && ['warn', 'clobber', 'error'].includes(duplicates)
+    && flags['save-state'] !== true
+    && flags.resume !== true
+    && inputs != null
+  ) {
+    runSortleFile(filenames[0], {
+      strict: !!flags.strict,
+      duplicates,
+      inputs,
+      compile: !!flags.compile,
+      saveState: flags['save-state'],
+      resume: flags.resume,
+      maxSteps,
+      timeout,
+      onStep: traceFormat ? makeTracer(traceFormat) : undefined,
+    });
+    return true;
+  }
+  return false;
+}
+
+// Prints diagnostics from the linter, and exits with an error if any of them
+// are errors.
+function lintCommand(filenames, flags) {
+  const format = flags.format || 'text';
+  if (filenames.length !== 1 || !['text', 'json'].includes(format)) {
+    return false;
+  }
+  const [filename] = filenames;
   const code = readFileSync(filename, 'utf8');
+  const diagnostics = lintSortleProgram(code, {strict: !!flags.strict});
 
-  let program;
-  try {
-    program = parseSortleProgram(code);
-  } catch (e) {
-    if (e instanceof SortleSyntaxError) {
-      console.error(code.split('\n')[e.row]);
-      let whitespace = '';
-      for (let i = 0; i < e.col; i++) {
-        whitespace += ' ';
-      }
-      console.error(`${whitespace}^`);
-      console.error('');
+  if (format === 'json') {
+    console.log(JSON.stringify({filename, diagnostics}, null, 2));
+  } else {
+    const basename = filename.match(/[^/\\]+$/)[0];
+    diagnostics.forEach(({severity, code, message, row, col}) => {
+      console.log(`${basename}:${row + 1}:${col + 1}: ${severity}: ${message} [${code}]`);
+    });
+  }
+
+  if (diagnostics.some(({severity}) => severity === 'error')) {
+    process.exit(1);
+  }
+  return true;
+}
+
+// Starts an interactive session, with the program loaded if one is given.
+function replCommand(filenames, flags) {
+  if (filenames.length > 1) {
+    return false;
+  }
+  startRepl({strict: !!flags.strict, file: filenames[0] || null});
+  return true;
+}
 
-      const basename = filename.match(/[^/\\]+$/)[0];
+// Runs the golden tests in a directory (see lib/golden.js), and exits with
+// an error if any fail.
+function testCommand(dirs, flags) {
+  if (dirs.length !== 1) {
+    return false;
+  }
+  const tests = findGoldenTests(dirs[0]);
+  if (tests.length === 0) {
+    console.error(`error: no .sort files in ${dirs[0]}`);
+    process.exit(1);
+  }
 
-      console.error(`${basename}:${e.row + 1}:${e.col + 1}: error`);
-      console.error(`  expected: ${e.expected}`);
-      if (e.received) {
-        console.error(`  received ${e.received}`);
+  let failures = 0;
+  tests.forEach(test => {
+    const result = runGoldenTest(test, {compile: !!flags.compile});
+    if (result.passed) {
+      console.log(`ok   ${test.name}`);
+      return;
+    }
+    failures++;
+    console.log(`FAIL ${test.name}`);
+    if (!test.expected) {
+      console.log(`  no ${test.name}.out or ${test.name}.err to compare with`);
+    } else {
+      console.log(`  expected ${test.expected.type}: ${test.expected.text}`);
+    }
+    console.log(`  actual ${result.actual.type}: ${result.actual.text}`);
+  });
+
+  console.log(`\n${tests.length - failures} passed, ${failures} failed`);
+  if (failures > 0) {
+    process.exit(1);
+  }
+  return true;
+}
+
+// Prints a standalone Node script that runs the program (see
+// lib/compile.js).
+function compileCommand(filenames, flags) {
+  if (filenames.length !== 1) {
+    return false;
+  }
+  const [filename] = filenames;
+  const code = readFileSync(filename, 'utf8');
+  const options = {strict: !!flags.strict};
+  const {program, errors} = parseSortleProgramWithErrors(code, options);
+  if (errors.length > 0) {
+    printSyntaxErrors(code, filename, errors);
+    process.exit(1);
+  }
+  const basename = filename.match(/[^/\\]+$/)[0];
+  process.stdout.write(compileToScript(program, {...options, filename: basename}));
+  return true;
+}
+
+// Prints the formatted code, or with --write, rewrites the files formatted.
+// With --check, lists the files that aren't formatted, and exits with an
+// error if there are any.
+function fmtCommand(filenames, flags) {
+  const width = flags.width == null ? 80 : parseLimitFlag(flags.width);
+  if (
+    filenames.length === 0
+    || (filenames.length > 1 && !flags.check && !flags.write)
+    || (flags.check && flags.write)
+    || !width
+  ) {
+    return false;
+  }
+
+  let unformatted = false;
+  filenames.forEach(filename => {
+    const code = readFileSync(filename, 'utf8');
+    let formatted;
+    try {
+      formatted = formatSortleProgram(code, {width});
+    } catch (e) {
+      if (e.name === 'SortleSyntaxError') {
+        printSyntaxErrors(code, filename, [e]);
+        process.exit(1);
       }
+      throw e;
+    }
+
+    if (flags.check) {
+      if (formatted !== code) {
+        console.log(filename);
+        unformatted = true;
+      }
+    } else if (flags.write) {
+      if (formatted !== code) {
+        writeFileSync(filename, formatted);
+      }
+    } else {
+      process.stdout.write(formatted);
+    }
+  });
+
+  if (unformatted) {
+    process.exit(1);
+  }
+  return true;
+}
+
+// Returns an onStep callback that prints each step to stderr.
+function makeTracer(format) {
+  return (record, expressions) => {
+    const names = expressions.map(([name]) => name);
+    if (format === 'json') {
+      console.error(JSON.stringify({...record, expressions: names}));
+      return;
+    }
+    let note = '';
+    if (record.action === 'deleted') {
+      note = ' (deleted)';
+    } else if (record.action === 'clobbered') {
+      note = ` (clobbered ${JSON.stringify(record.newName)})`;
+    }
+    console.error(
+      `step ${record.step}: ${JSON.stringify(record.oldName)} -> ` +
+      `${JSON.stringify(record.newName)}${note}`
+    );
+    names.forEach((name, index) => {
+      console.error(`${index === record.newIP ? '>' : ' '} ${name}`);
+    });
+  };
+}
+
+// Returns the inputs given by --define, --define-file and --stdin (see
+// lib/inputs.js), in that order, or null if a flag is missing its value or
+// its =. Exits with an error if a name isn't valid.
+function readInputs(flags) {
+  const definitions = [
+    ...flags.define.map(definition => ({definition, file: false})),
+    ...flags['define-file'].map(definition => ({definition, file: true})),
+  ];
+  const inputs = [];
+  for (const {definition, file} of definitions) {
+    const input = definition != null && parseInputDefinition(definition);
+    if (!input) {
+      return null;
+    }
+    inputs.push(file ? {...input, value: readFileSync(input.value, 'utf8')} : input);
+  }
+  if (flags.stdin === true) {
+    return null;
+  } else if (flags.stdin != null) {
+    inputs.push({name: flags.stdin, value: readFileSync(0, 'utf8')});
+  }
+
+  inputs.forEach(({name}) => {
+    const problem = validateInputName(name);
+    if (problem) {
+      console.error(`error: ${problem}`);
       process.exit(1);
+    }
+  });
+  return inputs;
+}
+
+// Returns Infinity if the flag was not given, the limit if it is a
+// non-negative integer, or null if it is invalid.
+function parseLimitFlag(value) {
+  if (value == null) {
+    return Infinity;
+  } else if (typeof value === 'string' && value.match(/^\d+$/)) {
+    return Number(value);
+  }
+  return null;
+}
+
+// Split arguments into flags (--name or --name=value) and the rest. After
+// an argument of --, the rest are taken as they are, even if they look like
+// flags, and firstLiteral is the index in args where they begin.
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  let firstLiteral = Infinity;
+  LIST_FLAGS.forEach(flag => {
+    flags[flag] = [];
+  });
+  for (let i = 0; i < argv.length; i++) {
+    if (firstLiteral !== Infinity) {
+      args.push(argv[i]);
+      continue;
+    } else if (argv[i] === '--') {
+      firstLiteral = args.length;
+      continue;
+    }
+    const matches = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (matches && LIST_FLAGS.includes(matches[1])) {
+      flags[matches[1]].push(matches[2] == null ? argv[++i] : matches[2]);
+    } else if (matches) {
+      flags[matches[1]] = matches[2] == null ? true : matches[2];
     } else {
+      args.push(argv[i]);
+    }
+  }
+  return {args, flags, firstLiteral};
+}
+
+// Options are as for runProgram, and:
+//   inputs: inputs to add to the program (see lib/inputs.js).
+//   compile: if true, compile the program to JavaScript to run it.
+//   saveState: if the program is stopped by a limit, the file to save a
+//     snapshot of its state to.
+//   resume: a file with a snapshot to resume from.
+function runSortleFile(filename, options) {
+  const {inputs, compile, saveState, resume, ...runOptions} = options;
+  const code = readFileSync(filename, 'utf8');
+
+  const {program: parsed, errors, warnings} = parseSortleProgramWithErrors(code, runOptions);
+  warnings.forEach(w => {
+    printSourceLocation(code, filename, w.row, w.col, 1, `warning: ${w.message}`);
+    printFirstDefinition(code, filename, w.firstDefinition);
+    console.error('');
+  });
+  if (errors.length > 0) {
+    printSyntaxErrors(code, filename, errors);
+    process.exit(1);
+  }
+  const program = addInputs(parsed, inputs, runOptions);
+  const snapshotOptions = {...runOptions, inputs};
+
+  if (compile) {
+    runOptions.evaluators = compileProgram(program, runOptions);
+  }
+  if (resume) {
+    let snapshot;
+    try {
+      snapshot = readFileSync(resume, 'utf8');
+    } catch (e) {
+      console.error(`${resume}: error: ${e.message}`);
+      process.exit(1);
+    }
+    try {
+      runOptions.state = readSnapshot(snapshot, program, code, snapshotOptions);
+    } catch (e) {
+      if (e.name === 'SortleSnapshotError') {
+        console.error(`${resume}: error: ${e.message}`);
+        process.exit(1);
+      }
       throw e;
     }
   }
 
   let output;
   try {
-    output = runProgram(program);
+    output = runProgram(program, runOptions);
   } catch (e) {
-    if (e instanceof SortleRegexError) {
-      console.error(`error: ${e.message}`);
-      console.error(`when evaluating regex: ${e.regex}`);
+    if (isRuntimeError(e)) {
+      printRuntimeError(code, filename, e);
+      if (e.name === 'SortleRegexError') {
+        console.error(`  when evaluating regex: ${e.regex}`);
+      }
       process.exit(1);
-    } else if (e instanceof SortleRuntimeError) {
+    } else if (e.name === 'SortleLimitError') {
       console.error(`error: ${e.message}`);
+      console.error('program state:');
+      e.expressions.forEach(([name], index) => {
+        console.error(`${index === e.ip ? '>' : ' '} ${name}`);
+      });
+      if (saveState) {
+        writeFileSync(saveState, createSnapshot(e.state, code, snapshotOptions) + '\n');
+        console.error(`state saved to ${saveState}; resume with --resume=${saveState}`);
+      }
       process.exit(1);
+    } else {
+      throw e;
+    }
+  }
+  if (runOptions.strict) {
+    // Output is a byte string; write the bytes as they are.
+    process.stdout.write(Buffer.from(output + '\n', 'latin1'));
+  } else {
+    console.log(output);
+  }
+}
+
+// Prints a line of source with a caret under the given columns, followed by
+// a line like "file.sort:row:col: message".
+function printSourceLocation(code, filename, row, col, length, message) {
+  console.error(code.split('\n')[row]);
+  console.error(' '.repeat(col) + '^'.repeat(Math.max(1, length)));
+  console.error('');
+
+  const basename = filename.match(/[^/\\]+$/)[0];
+
+  console.error(`${basename}:${row + 1}:${col + 1}: ${message}`);
+}
+
+function printSyntaxErrors(code, filename, errors) {
+  errors.forEach((e, index) => {
+    if (index > 0) {
+      console.error('');
+    }
+    printSourceLocation(code, filename, e.row, e.col, 1, 'error');
+    console.error(`  expected: ${e.expected}`);
+    if (e.received) {
+      console.error(`  received ${e.received}`);
     }
+    if (e.firstDefinition) {
+      printFirstDefinition(code, filename, e.firstDefinition);
+    }
+  });
+}
+
+// Points out the first definition of a name that was defined again.
+function printFirstDefinition(code, filename, {row, col}) {
+  console.error('');
+  printSourceLocation(code, filename, row, col, 1, 'note: first defined here');
+}
+
+function printRuntimeError(code, filename, e) {
+  if (!e.span) {
+    console.error(`error: ${e.message}`);
+    return;
+  }
+  const {row, col, endRow, endCol} = e.span;
+  const length = endRow === row ? endCol - col : code.split('\n')[row].length - col;
+  printSourceLocation(code, filename, row, col, length, `error: ${e.message}`);
+  let where = `  in expression ${e.origName}`;
+  if (e.expressionName !== e.origName) {
+    where += ` (now named ${JSON.stringify(e.expressionName)})`;
   }
-  console.log(output);
+  console.error(`${where}, at step ${e.step}`);
 }
@@ -0,0 +1,142 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import {validateCondition} from '../../lib/breakpoints';
+
+// Lets the user edit the debugger's breakpoints (see lib/breakpoints.js).
+export default class BreakpointsPanel extends React.Component {
+  static propTypes = {
+    breakpoints: PropTypes.shape({
+      expressions: PropTypes.arrayOf(PropTypes.string).isRequired,
+      onDelete: PropTypes.bool.isRequired,
+      onClobber: PropTypes.bool.isRequired,
+      conditions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    }).isRequired,
+    onChange: PropTypes.func.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      newExpression: '',
+      newCondition: '',
+      conditionError: null,
+    };
+  }
+
+  update(changes) {
+    this.props.onChange({...this.props.breakpoints, ...changes});
+  }
+
+  handleNewExpressionChange = (e) => {
+    this.setState({newExpression: e.target.value});
+  };
+
+  handleNewConditionChange = (e) => {
+    this.setState({newCondition: e.target.value, conditionError: null});
+  };
+
+  handleAddExpression = (e) => {
+    e.preventDefault();
+    const name = this.state.newExpression.trim();
+    const {expressions} = this.props.breakpoints;
+    if (name && !expressions.includes(name)) {
+      this.update({expressions: [...expressions, name]});
+    }
+    this.setState({newExpression: ''});
+  };
+
+  handleAddCondition = (e) => {
+    e.preventDefault();
+    const regex = this.state.newCondition;
+    const {conditions} = this.props.breakpoints;
+    try {
+      validateCondition(regex);
+    } catch (err) {
+      if (err.name === 'SortleRegexError') {
+        this.setState({conditionError: err.message});
+        return;
+      }
+      throw err;
+    }
+    if (!conditions.includes(regex)) {
+      this.update({conditions: [...conditions, regex]});
+    }
+    this.setState({newCondition: ''});
+  };
+
+  handleOnDeleteChange = (e) => {
+    this.update({onDelete: e.target.checked});
+  };
+
+  handleOnClobberChange = (e) => {
+    this.update({onClobber: e.target.checked});
+  };
+
+  removeExpression(name) {
+    const {expressions} = this.props.breakpoints;
+    this.update({expressions: expressions.filter(other => other !== name)});
+  }
+
+  removeCondition(regex) {
+    const {conditions} = this.props.breakpoints;
+    this.update({conditions: conditions.filter(other => other !== regex)});
+  }
+
+  render() {
+    const {expressions, onDelete, onClobber, conditions} = this.props.breakpoints;
+    const {newExpression, newCondition, conditionError} = this.state;
+    return (
+      <div className="breakpoints-panel">
+        <h3>Breakpoints</h3>
+        <ul className="breakpoints-list">
+          {expressions.map(name => (
+            <li key={'expression ' + name}>
+              Before evaluating <span className="code-expression-name">{name}</span>
+              {' '}
+              <button onClick={() => this.removeExpression(name)}>×</button>
+            </li>
+          ))}
+          {conditions.map(regex => (
+            <li key={'condition ' + regex}>
+              When an expression is renamed to match
+              {' '}<span className="code-string">"{regex}"</span>{' '}
+              <button onClick={() => this.removeCondition(regex)}>×</button>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={this.handleAddExpression}>
+          <input
+            type="text"
+            placeholder="expression name"
+            value={newExpression}
+            onChange={this.handleNewExpressionChange}
+          />
+          {' '}
+          <button type="submit">Break on expression</button>
+        </form>
+        <form onSubmit={this.handleAddCondition}>
+          <input
+            type="text"
+            placeholder="regex"
+            value={newCondition}
+            onChange={this.handleNewConditionChange}
+          />
+          {' '}
+          <button type="submit">Break when renamed to match</button>
+          {conditionError && (
+            <span className="error-container"> {conditionError}</span>
+          )}
+        </form>
+        <label>
+          <input type="checkbox" checked={onDelete} onChange={this.handleOnDeleteChange} />
+          {' '}Break when an expression is deleted
+        </label>
+        <label>
+          <input type="checkbox" checked={onClobber} onChange={this.handleOnClobberChange} />
+          {' '}Break when an expression is clobbered
+        </label>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,218 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import {highlightSortleCode} from '../../lib/highlight';
+
+const TAB_SIZE = 8;
+
+// The column a character is shown in, counting tabs as going to the next
+// tab stop.
+function visualCol(line, col) {
+  let visual = 0;
+  for (let i = 0; i < col; i++) {
+    visual = line[i] === '\t' ? (Math.floor(visual / TAB_SIZE) + 1) * TAB_SIZE : visual + 1;
+  }
+  return visual;
+}
+
+// The position of the caret in the code as {row, col}, or null if some
+// text is selected.
+function caretPosition(code, textarea) {
+  const {selectionStart, selectionEnd} = textarea;
+  if (selectionStart !== selectionEnd) {
+    return null;
+  }
+  const lines = code.slice(0, selectionStart).split('\n');
+  return {row: lines.length - 1, col: lines[lines.length - 1].length};
+}
+
+// Edits Sortle code with syntax highlighting (see lib/highlight.js). The
+// code is typed into a textarea with transparent text, over the same code
+// highlighted, which also marks syntax errors. Hovering over an operator
+// or an error explains it, and with the caret next to a bracket in a
+// string, the bracket and its other half are highlighted.
+export default class CodeEditor extends React.Component {
+  static propTypes = {
+    code: PropTypes.string.isRequired,
+    disabled: PropTypes.bool,
+    duplicates: PropTypes.string,
+    onChange: PropTypes.func.isRequired,
+  };
+
+  static defaultProps = {
+    disabled: false,
+    duplicates: 'warn',
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      caret: null,
+      // {text, left, top}, relative to the editor
+      tooltip: null,
+    };
+    // Highlighting parses the code, so is kept until the code changes.
+    this.highlighted = null;
+    this.highlightedFor = null;
+  }
+
+  highlight() {
+    const {code, duplicates} = this.props;
+    if (!this.highlightedFor
+      || this.highlightedFor.code !== code
+      || this.highlightedFor.duplicates !== duplicates) {
+      this.highlighted = highlightSortleCode(code, {duplicates});
+      this.highlightedFor = {code, duplicates};
+    }
+    return this.highlighted;
+  }
+
+  handleChange = (e) => {
+    this.props.onChange(e.target.value);
+    this.setState({caret: caretPosition(e.target.value, e.target)});
+  };
+
+  handleSelect = (e) => {
+    this.setState({caret: caretPosition(this.props.code, e.target)});
+  };
+
+  // The highlighted code can't scroll itself, so follows the textarea.
+  handleScroll = (e) => {
+    this.highlightedCode.scrollTop = e.target.scrollTop;
+    this.highlightedCode.scrollLeft = e.target.scrollLeft;
+    this.setState({tooltip: null});
+  };
+
+  handleMouseMove = (e) => {
+    const tooltip = this.tooltipAt(e.clientX, e.clientY);
+    const current = this.state.tooltip;
+    if (tooltip === current || (tooltip && current
+      && tooltip.text === current.text
+      && tooltip.left === current.left
+      && tooltip.top === current.top)) {
+      return;
+    }
+    this.setState({tooltip});
+  };
+
+  handleMouseLeave = () => {
+    this.setState({tooltip: null});
+  };
+
+  // The tooltip for the piece of code under the mouse, if it has one. Finds
+  // the piece by position, as the characters are all the same size.
+  tooltipAt(clientX, clientY) {
+    const pre = this.highlightedCode;
+    const style = window.getComputedStyle(pre);
+    const editor = this.editor.getBoundingClientRect();
+    // Where the first character is, relative to the editor
+    const left = pre.clientLeft + parseFloat(style.paddingLeft) - pre.scrollLeft;
+    const top = pre.clientTop + parseFloat(style.paddingTop) - pre.scrollTop;
+    const lineHeight = parseFloat(style.lineHeight);
+    const charWidth = this.measure.getBoundingClientRect().width / this.measure.textContent.length;
+
+    const x = clientX - editor.left - left;
+    const row = Math.floor((clientY - editor.top - top) / lineHeight);
+    const col = Math.floor(x / charWidth);
+    const line = this.props.code.split('\n')[row];
+    const pieces = this.highlight()[row];
+    if (!pieces || x < 0) {
+      return null;
+    }
+    const hovered = pieces.find(({text, col: pieceCol}) => (
+      col >= visualCol(line, pieceCol)
+      && col < visualCol(line + ' ', pieceCol + text.length)
+    ));
+    if (!hovered || !hovered.tip) {
+      return null;
+    }
+    return {
+      text: hovered.tip,
+      left: Math.round(left + visualCol(line, hovered.col) * charWidth),
+      top: Math.round(top + (row + 1) * lineHeight),
+    };
+  }
+
+  // The columns of the bracket next to the caret, and of its other half.
+  activeBrackets(highlighted) {
+    const {caret} = this.state;
+    if (!caret || !highlighted[caret.row]) {
+      return null;
+    }
+    const pieces = highlighted[caret.row];
+    const bracket = [caret.col - 1, caret.col]
+      .map(col => pieces.find(piece => piece.col === col && piece.match != null))
+      .find(piece => piece);
+    return bracket ? {row: caret.row, cols: [bracket.col, bracket.match]} : null;
+  }
+
+  renderLine(pieces, row, brackets) {
+    return pieces.map(({text, col, type, group, severity}) => {
+      let className = `code-${type}`;
+      if (group) {
+        className += ' code-regex-group';
+      }
+      if (brackets && brackets.row === row && brackets.cols.includes(col)) {
+        className += ' code-regex-bracket-active';
+      }
+      if (severity) {
+        className += ` code-${severity}-marker`;
+      }
+      return <span key={col} className={className}>{text}</span>;
+    });
+  }
+
+  render() {
+    const {code, disabled} = this.props;
+    const {tooltip} = this.state;
+    const highlighted = this.highlight();
+    const brackets = this.activeBrackets(highlighted);
+    return (
+      <div
+        className={'code-editor' + (disabled ? ' code-editor-disabled' : '')}
+        ref={editor => { this.editor = editor; }}
+      >
+        <pre
+          className="code-editor-highlighted"
+          aria-hidden="true"
+          ref={pre => { this.highlightedCode = pre; }}
+        >
+          {highlighted.map((pieces, row) => (
+            <span key={row}>
+              {this.renderLine(pieces, row, brackets)}
+              {'\n'}
+            </span>
+          ))}
+        </pre>
+        <span
+          className="code-editor-measure"
+          ref={span => { this.measure = span; }}
+        >
+          xxxxxxxxxx
+        </span>
+        <textarea
+          className="code code-editor-input"
+          disabled={disabled}
+          cols="100"
+          rows="25"
+          spellCheck="false"
+          wrap="off"
+          value={code}
+          onChange={this.handleChange}
+          onSelect={this.handleSelect}
+          onScroll={this.handleScroll}
+          onMouseMove={this.handleMouseMove}
+          onMouseLeave={this.handleMouseLeave}
+        />
+        {tooltip && (
+          <div
+            className="code-editor-tooltip"
+            style={{left: tooltip.left, top: tooltip.top}}
+          >
+            {tooltip.text}
+          </div>
+        )}
+      </div>
+    );
+  }
+}
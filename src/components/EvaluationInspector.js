@@ -0,0 +1,102 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Term from './Term';
+
+// Candidate names shown per regex before the list is cut short.
+const MAX_CANDIDATES_SHOWN = 50;
+
+// Shows how the active expression evaluates, term by term: the stack after
+// each term, and for each ? operator the regex, the names tried in order
+// and which one matched. Names skipped without trying them, as they don't
+// begin with the regex's literal prefix, are listed and marked as such.
+export default class EvaluationInspector extends React.Component {
+  static propTypes = {
+    name: PropTypes.string.isRequired,
+    terms: PropTypes.array.isRequired,
+    // As passed to the runtime's onTerm hook
+    events: PropTypes.arrayOf(PropTypes.shape({
+      index: PropTypes.number.isRequired,
+      stack: PropTypes.array.isRequired,
+      regexMatch: PropTypes.object,
+    })).isRequired,
+    result: PropTypes.string,
+    error: PropTypes.string,
+  };
+
+  renderRegexMatch(regexMatch) {
+    const {regex, subject, candidates, skipped, matched, result} = regexMatch;
+    const shown = candidates.slice(0, MAX_CANDIDATES_SHOWN);
+    return (
+      <div className="inspector-regex">
+        <div>
+          regex <Term term={regex} />
+          {subject != null
+            ? <span>against substrings of <Term term={subject} /></span>
+            : 'against names'}
+        </div>
+        <ol className="inspector-candidates">
+          {shown.map((candidate, index) => {
+            let className = '';
+            if (skipped.includes(index)) {
+              className = 'inspector-candidate-skipped';
+            } else if (matched != null && index === candidates.length - 1) {
+              // The last name tried is the one that matched, if any
+              className = 'inspector-candidate-matched';
+            }
+            return (
+              <li key={index} className={className}>
+                {candidate}
+                {skipped.includes(index) && ' (skipped: prefix differs)'}
+              </li>
+            );
+          })}
+        </ol>
+        {candidates.length > shown.length && (
+          <div>…and {candidates.length - shown.length} more</div>
+        )}
+        <div>
+          {matched != null
+            ? <span>matched <Term term={matched} />, giving <Term term={result} /></span>
+            : 'no match, giving ""'}
+        </div>
+      </div>
+    );
+  }
+
+  render() {
+    const {name, terms, events, result, error} = this.props;
+    return (
+      <div className="inspector">
+        <h3>Evaluating {name}</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Term</th>
+              <th>Stack after</th>
+            </tr>
+          </thead>
+          <tbody>
+            {terms.map((term, index) => {
+              const event = events[index];
+              return (
+                <tr key={index}>
+                  <td><Term term={term} /></td>
+                  <td>
+                    {event
+                      ? event.stack.map((value, i) => <Term key={i} term={value} />)
+                      : '—'}
+                    {event && event.regexMatch && this.renderRegexMatch(event.regexMatch)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {error
+          ? <div className="error-container">error: {error}</div>
+          : <div>New name: <Term term={result} /></div>}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,112 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import {validateInputName} from '../../lib/inputs';
+
+// Lets the user give the program inputs (see lib/inputs.js), which are added
+// to it the next time it starts.
+export default class InputsPanel extends React.Component {
+  static propTypes = {
+    inputs: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      value: PropTypes.string.isRequired,
+    })).isRequired,
+    onChange: PropTypes.func.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      newName: '',
+      newValue: '',
+      nameError: null,
+    };
+  }
+
+  handleNewNameChange = (e) => {
+    this.setState({newName: e.target.value, nameError: null});
+  };
+
+  handleNewValueChange = (e) => {
+    this.setState({newValue: e.target.value});
+  };
+
+  // Adding an input that already exists changes its value.
+  handleAdd = (e) => {
+    e.preventDefault();
+    const name = this.state.newName.trim();
+    const nameError = validateInputName(name);
+    if (nameError) {
+      this.setState({nameError});
+      return;
+    }
+    const {inputs} = this.props;
+    const input = {name, value: this.state.newValue};
+    this.props.onChange(
+      inputs.some(other => other.name === name)
+        ? inputs.map(other => (other.name === name ? input : other))
+        : [...inputs, input]
+    );
+    this.setState({newName: '', newValue: ''});
+  };
+
+  changeValue(name, value) {
+    this.props.onChange(this.props.inputs.map(input => (
+      input.name === name ? {name, value} : input
+    )));
+  }
+
+  removeInput(name) {
+    this.props.onChange(this.props.inputs.filter(input => input.name !== name));
+  }
+
+  render() {
+    const {inputs} = this.props;
+    const {newName, newValue, nameError} = this.state;
+    return (
+      <div className="inputs-panel">
+        <h3>Inputs</h3>
+        <p>
+          Each input is added to the program as an expression
+          {' '}<code>name := "value"</code>, replacing any expression of
+          that name, when the program starts.
+        </p>
+        <ul className="inputs-list">
+          {inputs.map(({name, value}) => (
+            <li key={name}>
+              <span className="code-expression-name">{name}</span>
+              {' '}<span className="code-separator">:=</span>{' '}
+              <input
+                type="text"
+                value={value}
+                onChange={e => this.changeValue(name, e.target.value)}
+              />
+              {' '}
+              <button onClick={() => this.removeInput(name)}>×</button>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={this.handleAdd}>
+          <input
+            type="text"
+            placeholder="name"
+            value={newName}
+            onChange={this.handleNewNameChange}
+          />
+          {' '}
+          <input
+            type="text"
+            placeholder="value"
+            value={newValue}
+            onChange={this.handleNewValueChange}
+          />
+          {' '}
+          <button type="submit">Add input</button>
+          {nameError && (
+            <span className="error-container"> {nameError}</span>
+          )}
+        </form>
+      </div>
+    );
+  }
+}
@@ -1,118 +1,269 @@
 import React from 'react';
 
-import {parseSortleProgram, SortleSyntaxError} from '../../lib/parse';
-import {stepThroughProgram, SortleRuntimeError} from '../../lib/runtime';
+import {parseSortleProgramWithErrors} from '../../lib/parse';
+import {emptyBreakpoints} from '../../lib/breakpoints';
+import {isRuntimeError} from '../../lib/errors';
+import {addInputs} from '../../lib/inputs';
+import {createPermalink, readPermalink} from '../../lib/permalink';
+import {createSnapshot, readSnapshot} from '../../lib/snapshot';
+import EXAMPLES from '../examples';
+import {PageMessages, WorkerMessages} from '../messages';
+import BreakpointsPanel from './BreakpointsPanel';
+import CodeEditor from './CodeEditor';
+import EvaluationInspector from './EvaluationInspector';
+import InputsPanel from './InputsPanel';
+import Term from './Term';
 
-function prettyPrintSyntaxError(error, code) {
-  let errorLine = code.split('\n')[error.row];
+function prettyPrintSourceLocation(code, row, col, length, message) {
+  let errorLine = code.split('\n')[row];
   let whitespace = '';
-  for (let i = 0; i < error.col; i++) {
+  for (let i = 0; i < col; i++) {
     whitespace += ' ';
   }
+  let carets = '^';
+  for (let i = 1; i < length; i++) {
+    carets += '^';
+  }
 
-  let msg = `${errorLine}
-${whitespace}^
+  return `${errorLine}
+${whitespace}${carets}
 
-${error.row + 1}:${error.col + 1}: error
-  expected: ${error.expected}
+${row + 1}:${col + 1}: ${message}
 `;
+}
+
+function prettyPrintSyntaxError(error, code) {
+  let msg = prettyPrintSourceLocation(code, error.row, error.col, 1, 'error');
+  msg += `  expected: ${error.expected}\n`;
   if (error.received) {
     msg += `  received: ${error.received}\n`;
   }
+  if (error.firstDefinition) {
+    msg += '\n' + prettyPrintFirstDefinition(error.firstDefinition, code);
+  }
+  return msg;
+}
+
+function prettyPrintWarning(warning, code) {
+  let msg = prettyPrintSourceLocation(
+    code,
+    warning.row,
+    warning.col,
+    1,
+    `warning: ${warning.message}`,
+  );
+  if (warning.firstDefinition) {
+    msg += '\n' + prettyPrintFirstDefinition(warning.firstDefinition, code);
+  }
+  return msg;
+}
+
+function prettyPrintFirstDefinition({row, col}, code) {
+  return prettyPrintSourceLocation(code, row, col, 1, 'note: first defined here');
+}
+
+// Runtime errors carry the source span and expression where they happened.
+function prettyPrintRuntimeError(error, code) {
+  if (!error.span) {
+    return error.message;
+  }
+  const {row, col, endRow, endCol} = error.span;
+  const length = endRow === row ? endCol - col : code.split('\n')[row].length - col;
+  let msg = prettyPrintSourceLocation(code, row, col, length, `error: ${error.message}`);
+  msg += `  in expression ${error.origName}`;
+  if (error.expressionName !== error.origName) {
+    msg += ` (now named "${error.expressionName}")`;
+  }
+  msg += `, at step ${error.step}\n`;
+  if (error.name === 'SortleRegexError') {
+    msg += `  when evaluating regex: ${error.regex}\n`;
+  }
   return msg;
 }
 
 export default class SortlePage extends React.Component {
+  static defaultProps = {
+    // Approximate memory cap for the history kept for stepping back.
+    historyMaxBytes: 16 * 1024 * 1024,
+    // Script the program runs in; see worker.js.
+    workerUrl: 'sortle-worker.js',
+  };
+
   constructor(props) {
     super(props);
     this.state = {
       code: '',
       running: false,
       runningCode: '',
+      runningInputs: [],
       runState: [],
       runIP: 0,
+      runLastStep: null,
+      runStep: 0,
+      runEarliestStep: 0,
+      runLatestStep: 0,
       runResult: null,
       runError: null,
+      runWarnings: null,
+      runStopped: false,
+      runInspection: null,
+      duplicates: 'warn',
+      inputs: [],
+      breakpoints: emptyBreakpoints(),
+      breakCause: null,
+      // URL of the last link made to the code, until it changes
+      permalink: null,
     };
+    // The program being run, or null if there is none
+    this.program = null;
+    // Messages about other sessions than this one are stale; see messages.js.
+    this.session = 0;
+    this.worker = null;
   }
 
-  requestIdle(callback) {
-    if (this._idleCallbackId) {
-      cancelIdleCallback(this._idleCallbackId);
-    }
-    this._idleCallbackId = requestIdleCallback(() => {
-      this._idleCallbackId = null;
-      callback();
-    });
+  componentDidMount() {
+    this.startWorker();
+    this.handleHashChange();
+    window.addEventListener('hashchange', this.handleHashChange);
+  }
+
+  componentWillUnmount() {
+    this.worker.terminate();
+    window.removeEventListener('hashchange', this.handleHashChange);
   }
 
-  executeCode = (maxSteps = Infinity) => {
-    let {running, runState, runIP} = this.state;
-    if (!running) {
+  startWorker() {
+    this.worker = new Worker(this.props.workerUrl);
+    this.worker.onmessage = this.handleWorkerMessage;
+    this.worker.onerror = this.handleWorkerError;
+  }
+
+  postToWorker(type, message = {}) {
+    this.worker.postMessage({...message, type, session: this.session});
+  }
+
+  handleWorkerMessage = ({data}) => {
+    if (data.session !== this.session) {
       return;
     }
-    runState = [...runState];
+    if (data.type === WorkerMessages.STATE) {
+      this.receiveState(data);
+    } else if (data.type === WorkerMessages.SNAPSHOT) {
+      this.saveSnapshot(data.state);
+    }
+  };
 
-    if (runState.length === 0) {
-      this.setState({
-        running: false,
-        runError: 'a program must have at least one expression',
-      });
-      return;
+  // An exception in the worker, other than a program's runtime error, ends
+  // the session.
+  handleWorkerError = (e) => {
+    e.preventDefault();
+    this.worker.terminate();
+    this.startWorker();
+    this.program = null;
+    this.setState({
+      running: false,
+      runError: `unknown error: ${e.message}`,
+      runInspection: null,
+    });
+  };
+
+  receiveState(data) {
+    const {error} = data;
+    let runError = null;
+    if (error && isRuntimeError(error)) {
+      runError = prettyPrintRuntimeError(error, this.state.runningCode);
+    } else if (error) {
+      runError = `unknown error: ${error.name}: ${error.message}`;
     }
+    this.setState({
+      running: data.running,
+      runState: data.expressions,
+      runIP: data.ip,
+      runLastStep: data.lastStep,
+      runStep: data.step,
+      runEarliestStep: data.earliestStep,
+      runLatestStep: data.latestStep,
+      runResult: data.result,
+      runError,
+      runInspection: data.inspection,
+      breakCause: data.breakCause,
+    });
+  }
 
-    // When we've been "thinking" for longer than a frame, yield
-    const yieldAfter = Date.now() + (1000 / 60);
+  // The name an expression had in the original program.
+  origName(id) {
+    return this.program[id][0];
+  }
 
-    let evaluations = 0;
+  handleCodeChange = (code) => {
+    this.setState({code, permalink: null});
+  };
 
-    do {
-      if (runState.length === 1) {
-        // Program has terminated
-        this.setState({
-          running: false,
-          runResult: runState[0][0],
-        });
-        return;
-      }
+  handleDuplicatesChange = (e) => {
+    this.setState({duplicates: e.target.value, permalink: null});
+  };
 
-      try {
-        runIP = stepThroughProgram(runState, runIP);
-        evaluations++;
-      } catch (err) {
-        let runError;
-        if (err.name = 'SortleRuntimeError') {
-          runError = err.message;
-        } else {
-          runError = `unknown error: ${String(err)}`;
-        }
-        this.setState({
-          running: false,
-          runError,
-        });
-        return;
+  handleInputsChange = (inputs) => {
+    this.setState({inputs, permalink: null});
+  };
+
+  // Opens the session in a permalink (see lib/permalink.js), if the URL has
+  // one.
+  handleHashChange = () => {
+    const fragment = window.location.hash.slice(1);
+    if (!fragment) {
+      return;
+    }
+    let session;
+    try {
+      session = readPermalink(fragment);
+    } catch (err) {
+      if (err.name !== 'SortlePermalinkError') {
+        throw err;
       }
-    } while (Date.now() < yieldAfter && evaluations < maxSteps);
-
-    console.log(`${evaluations} evaluations before yielding`);
-    this.setState(
-      {
-        runState,
-        runIP,
-        running: evaluations < maxSteps,
-      },
-      () => {
-        if (evaluations < maxSteps) {
-          this.requestIdle(() => this.executeCode(maxSteps - evaluations));
-        }
-      },
-    );
-  }
+      this.setState({runError: `cannot open link: ${err.message}`});
+      return;
+    }
+    this.openSession(session);
+  };
+
+  // Puts a link to the code, inputs and settings in the address bar, and
+  // shows it to be copied.
+  handleLinkClick = (e) => {
+    e.preventDefault();
+    const {code, inputs, duplicates, breakpoints} = this.state;
+    const fragment = createPermalink({code, inputs, duplicates, breakpoints});
+    // Unlike setting location.hash, doesn't fire hashchange
+    window.history.replaceState(null, '', `#${fragment}`);
+    this.setState({permalink: window.location.href});
+  };
 
-  handleCodeChange = (e) => {
-    this.setState({code: e.target.value});
+  handleExampleChange = (e) => {
+    const example = EXAMPLES.find(({name}) => name === e.target.value);
+    const {code} = this.state;
+    if (!example || (
+      code.trim() !== ''
+      && !EXAMPLES.some(other => other.code === code)
+      && !window.confirm('Replace your code with the example?')
+    )) {
+      return;
+    }
+    this.openSession({
+      code: example.code,
+      inputs: [],
+      duplicates: 'warn',
+      breakpoints: emptyBreakpoints(),
+    });
   };
 
+  // Replaces the code, inputs and settings, as from a permalink or an
+  // example, ending any session with the old code.
+  openSession({code, inputs, duplicates, breakpoints}) {
+    this.endSession();
+    this.handleBreakpointsChange(breakpoints);
+    this.setState({code, inputs, duplicates, permalink: null});
+  }
+
   handleRunClick = (e) => {
     e.preventDefault();
     this.parseAndExecuteCode(Infinity);
@@ -120,121 +271,341 @@ export default class SortlePage extends React.Component {
 
   handlePauseClick = (e) => {
     e.preventDefault();
-    if (this._idleCallbackId) {
-      cancelIdleCallback(this._idleCallbackId);
-    }
-    this.setState({running: false});
+    this.postToWorker(PageMessages.PAUSE);
+  };
+
+  // Unlike pausing, works even in the middle of a step that is taking a long
+  // time, by terminating the worker; the program can't be resumed after.
+  handleStopClick = (e) => {
+    e.preventDefault();
+    this.worker.terminate();
+    this.startWorker();
+    this.session++;
+    this.setState({
+      running: false,
+      runStopped: true,
+      runInspection: null,
+    });
   };
 
   handleResetClick = (e) => {
     e.preventDefault();
+    this.endSession();
+  };
+
+  // Ends the session, if any, so that the code runs from the start next
+  // time. A running program is stopped as by the Stop button.
+  endSession() {
+    if (this.state.running) {
+      this.worker.terminate();
+      this.startWorker();
+    } else {
+      this.postToWorker(PageMessages.RESET);
+    }
+    this.program = null;
+    this.session++;
     this.setState({
       running: false,
       runningCode: '',
       runResult: null,
       runError: null,
+      runWarnings: null,
+      runStopped: false,
+      runInspection: null,
       runIP: 0,
+      runLastStep: null,
+      runStep: 0,
+      runEarliestStep: 0,
+      runLatestStep: 0,
       runState: [],
+      breakCause: null,
     });
-  };
+  }
 
   handleStepClick = (e) => {
     e.preventDefault();
     this.parseAndExecuteCode(1);
   };
 
+  handleStepBackClick = (e) => {
+    e.preventDefault();
+    this.postToWorker(PageMessages.STEP_BACK);
+  };
+
+  handleTimelineChange = (e) => {
+    const step = Number(e.target.value);
+    // Move the slider now rather than when the worker gets there
+    this.setState({runStep: step});
+    this.postToWorker(PageMessages.SEEK, {step});
+  };
+
+  handleSaveClick = (e) => {
+    e.preventDefault();
+    this.postToWorker(PageMessages.GET_SNAPSHOT);
+  };
+
+  saveSnapshot(state) {
+    const {runningCode, runningInputs} = this.state;
+    const snapshot = createSnapshot(state, runningCode, {inputs: runningInputs});
+    const url = URL.createObjectURL(new Blob([snapshot], {type: 'application/json'}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sortle-step-${state.steps}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  handleLoadClick = (e) => {
+    e.preventDefault();
+    this.snapshotInput.click();
+  };
+
+  handleSnapshotFileChange = (e) => {
+    const file = e.target.files[0];
+    // Let the same file be chosen again later
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => this.startSession(reader.result, null);
+    reader.readAsText(file);
+  };
+
+  handleBreakpointsChange = (breakpoints) => {
+    this.setState({breakpoints, permalink: null});
+    this.postToWorker(PageMessages.SET_BREAKPOINTS, {breakpoints});
+  };
+
+  toggleExpressionBreakpoint(origName) {
+    const {expressions} = this.state.breakpoints;
+    this.handleBreakpointsChange({
+      ...this.state.breakpoints,
+      expressions: expressions.includes(origName)
+        ? expressions.filter(name => name !== origName)
+        : [...expressions, origName],
+    });
+  }
+
   parseAndExecuteCode(maxSteps) {
+    const {
+      code,
+      inputs,
+      running,
+      runningCode,
+      runningInputs,
+      runResult,
+      runError,
+      runStopped,
+    } = this.state;
     if (
-      this.state.runningCode
-      && this.state.runningCode === this.state.code
-      && !this.state.runResult
-      && !this.state.runError
-      && !this.state.running
+      this.program
+      && runningCode === code
+      && runningInputs === inputs
+      && !runResult
+      && !runError
+      && !runStopped
+      && !running
     ) {
       // We have a paused execution; resume it.
-      this.setState(
-        {running: true},
-        () => this.executeCode(maxSteps),
-      );
+      this.setState({running: true, breakCause: null, runInspection: null});
+      if (maxSteps === 1) {
+        this.postToWorker(PageMessages.STEP);
+      } else {
+        this.postToWorker(PageMessages.RUN, {maxSteps});
+      }
       return;
     }
-    let parsed;
-    try {
-      parsed = parseSortleProgram(this.state.code);
-    } catch (err) {
-      let runError;
-      if (err.name = 'SortleSyntaxError') {
-        runError = prettyPrintSyntaxError(err, this.state.code);
-      } else {
-        runError = `unknown error: ${String(err)}`;
+    this.startSession(null, maxSteps);
+  }
+
+  // Parses the code, adds the inputs and has the worker start running it,
+  // from the snapshot if one is given (see lib/snapshot.js). With a maxSteps
+  // of null, starts paused.
+  startSession(snapshot, maxSteps) {
+    const {code, duplicates, inputs} = this.state;
+    const {program: parsed, errors, warnings} = parseSortleProgramWithErrors(
+      code,
+      {duplicates},
+    );
+    // Names were checked as the inputs were added.
+    const program = addInputs(parsed, inputs);
+    const runWarnings = warnings.length > 0
+      ? warnings.map(warning => prettyPrintWarning(warning, code)).join('\n')
+      : null;
+
+    let runError = null;
+    let savedState = null;
+    if (errors.length > 0) {
+      runError = errors
+        .map(err => prettyPrintSyntaxError(err, code))
+        .join('\n');
+    } else if (program.length === 0) {
+      runError = 'a program must have at least one expression';
+    } else if (snapshot) {
+      try {
+        savedState = readSnapshot(snapshot, program, code, {inputs});
+      } catch (err) {
+        if (err.name !== 'SortleSnapshotError') {
+          throw err;
+        }
+        runError = `cannot load snapshot: ${err.message}`;
       }
+    }
+
+    if (this.program) {
+      this.postToWorker(PageMessages.RESET);
+    }
+    this.session++;
+    if (runError) {
+      this.program = null;
       this.setState({
         running: false,
-        runningCode: this.state.code,
+        runningCode: code,
+        runningInputs: inputs,
         runResult: null,
         runError,
+        runWarnings,
+        runStopped: false,
+        runInspection: null,
       });
       return;
     }
-    // Hack: to keep a stable unique identifier for each expression as the
-    // program runs, store the original name on the terms (which the runtime
-    // will pass through).
-    parsed = parsed.map(([name, terms]) => {
-      const modifiedTerms = [...terms];
-      modifiedTerms._origName = name;
-      return [name, modifiedTerms];
+
+    this.program = program;
+    this.postToWorker(PageMessages.START, {
+      program,
+      state: savedState,
+      breakpoints: this.state.breakpoints,
+      historyMaxBytes: this.props.historyMaxBytes,
+      maxSteps,
     });
+    // Until the worker sends the state
     this.setState({
-      running: true,
-      runningCode: this.state.code,
-      runState: [...parsed],
+      running: maxSteps != null,
+      runningCode: code,
+      runningInputs: inputs,
+      runState: [],
       runIP: 0,
+      runLastStep: null,
+      runStep: 0,
+      runEarliestStep: 0,
+      runLatestStep: 0,
       runResult: null,
       runError: null,
+      runWarnings,
+      runStopped: false,
+      runInspection: null,
+      breakCause: null,
     });
-    this.requestIdle(() => this.executeCode(maxSteps));
-  }
-
-  renderTerm(term, index) {
-    let otherClass = '';
-    let printedTerm = term;
-    if (typeof term === 'string') {
-      otherClass = 'code-string';
-      printedTerm = `"${term}"`;
-    } else if (typeof term === 'number') {
-      otherClass = 'code-number';
-    } else {
-      otherClass = 'code-operator';
-      printedTerm = term.value;
-    }
-    return (
-      <span
-        key={'term' + index}
-        className={'code-term ' + otherClass}
-      >
-        {printedTerm}{' '}
-      </span>
-    );
   }
 
   renderState() {
-    const {runState, runIP} = this.state;
-    return runState.map(([name, terms], index) => {
+    const {runState, runIP, breakpoints, breakCause} = this.state;
+    return runState.map(([name, id], index) => {
+      const [origName, terms] = this.program[id];
       let nameClasses = 'code-expression-name';
       if (index === runIP) {
         nameClasses += ' code-expression-is-active';
       }
+      if (breakpoints.expressions.includes(origName)) {
+        nameClasses += ' code-expression-has-breakpoint';
+      }
+      if (breakCause && breakCause.id === id) {
+        nameClasses += ' code-expression-break-cause';
+      }
       return (
-        <span key={terms._origName}>
-          <span className={nameClasses}>{name}</span>
+        <span key={id}>
+          <span
+            className={nameClasses}
+            title={`Originally ${origName}. Click to toggle breakpoint.`}
+            onClick={() => this.toggleExpressionBreakpoint(origName)}
+          >
+            {name}
+          </span>
           {' '}<span className="code-separator">:=</span>{' '}
-          {terms.map(this.renderTerm, this)}
+          {terms.map((term, index) => <Term key={index} term={term} />)}
           {'\n'}
         </span>
       );
     });
   }
 
+  renderInspector() {
+    const {name, terms, events, result, error} = this.state.runInspection;
+    return (
+      <EvaluationInspector
+        name={name}
+        terms={terms}
+        events={events}
+        result={result}
+        error={error}
+      />
+    );
+  }
+
+  renderLastStep() {
+    const {runLastStep} = this.state;
+    if (!runLastStep) {
+      return null;
+    }
+    const {step, oldName, newName, action} = runLastStep;
+    let description = `renamed to "${newName}"`;
+    if (action === 'deleted') {
+      description = 'deleted';
+    } else if (action === 'clobbered') {
+      description = `clobbered "${newName}"`;
+    }
+    return (
+      <div className="last-step">
+        Step {step}: {oldName} {description}
+      </div>
+    );
+  }
+
+  renderBreakCause() {
+    const {breakCause} = this.state;
+    if (!breakCause) {
+      return null;
+    }
+    const origName = this.origName(breakCause.id);
+    let description;
+    if (breakCause.type === 'expression') {
+      description = `breakpoint on ${origName}`;
+    } else if (breakCause.type === 'deleted') {
+      description = `${origName} was deleted`;
+    } else if (breakCause.type === 'clobbered') {
+      const clobberedName = this.origName(breakCause.clobberedId);
+      description = `${origName} clobbered ${clobberedName}`;
+    } else {
+      description = `${origName} was renamed to match "${breakCause.regex}"`;
+    }
+    return (
+      <div className="break-cause">
+        Paused: {description}
+      </div>
+    );
+  }
+
+  renderTimeline() {
+    const {running, runStep, runEarliestStep, runLatestStep} = this.state;
+    return (
+      <div className="timeline">
+        <input
+          type="range"
+          disabled={running}
+          min={runEarliestStep}
+          max={runLatestStep}
+          value={runStep}
+          onChange={this.handleTimelineChange}
+        />
+        {' '}Step {runStep} of {runLatestStep}
+      </div>
+    );
+  }
+
   render() {
     const {
       code,
@@ -242,26 +613,44 @@ export default class SortlePage extends React.Component {
       runningCode,
       runResult,
       runError,
+      runWarnings,
+      runStopped,
+      runInspection,
+      duplicates,
+      runStep,
+      runEarliestStep,
+      runLatestStep,
+      permalink,
     } = this.state;
     const stopped = runResult || runError || !runningCode;
-    const paused = runningCode && !runResult && !runError && !running;
+    const paused = (
+      runningCode && !runResult && !runError && !runStopped && !running
+    );
+    // Whether the worker has a session we can move around in
+    const inSession = this.program && !runStopped && !running;
     return (
       <div>
         <h1>Sortle</h1>
         <h2>A programming language based on insertion sort.</h2>
         <div className="code-and-output">
           <div className="code-pane">
-            <textarea
-              className="code"
+            <CodeEditor
+              code={code}
               disabled={running}
-              cols="100"
-              rows="25"
-              value={code}
+              duplicates={duplicates}
               onChange={this.handleCodeChange}
             />
           </div>
           <div className="output-pane">
-            {(paused || running) && this.renderState()}
+            {(paused || running || runStopped) && this.renderState()}
+            {(paused || running || runStopped) && this.renderLastStep()}
+            {paused && this.renderBreakCause()}
+            {paused && runInspection && this.renderInspector()}
+            {runStopped && (
+              <div className="break-cause">
+                Stopped at step {runStep}
+              </div>
+            )}
             {runResult && (
               <div className="output-container">
                 {runResult}
@@ -272,6 +661,11 @@ export default class SortlePage extends React.Component {
                 {runError}
               </div>
             )}
+            {runWarnings && (
+              <div className="warning-container">
+                {runWarnings}
+              </div>
+            )}
           </div>
         </div>
         <div className="controls">
@@ -287,6 +681,18 @@ export default class SortlePage extends React.Component {
           >
             Pause
           </button>
+          <button
+            disabled={!running}
+            onClick={this.handleStopClick}
+          >
+            Stop
+          </button>
+          <button
+            disabled={!inSession || runStep <= runEarliestStep}
+            onClick={this.handleStepBackClick}
+          >
+            Step Back
+          </button>
           <button
             disabled={running}
             onClick={this.handleStepClick}
@@ -294,12 +700,80 @@ export default class SortlePage extends React.Component {
             Step
           </button>
           <button
-            disabled={running || !(runResult || runError || paused)}
+            disabled={running || !(runResult || runError || paused || runStopped)}
             onClick={this.handleResetClick}
           >
             Reset
           </button>
+          <button
+            disabled={!inSession}
+            onClick={this.handleSaveClick}
+          >
+            Save
+          </button>
+          <button
+            disabled={running}
+            onClick={this.handleLoadClick}
+          >
+            Load
+          </button>
+          <input
+            type="file"
+            accept=".json,application/json"
+            style={{display: 'none'}}
+            ref={input => { this.snapshotInput = input; }}
+            onChange={this.handleSnapshotFileChange}
+          />
+          <label>
+            {' '}Duplicate names:{' '}
+            <select
+              disabled={running}
+              value={duplicates}
+              onChange={this.handleDuplicatesChange}
+            >
+              <option value="warn">warn, later one wins</option>
+              <option value="clobber">later one wins</option>
+              <option value="error">error</option>
+            </select>
+          </label>
+          <label>
+            {' '}Examples:{' '}
+            <select
+              disabled={running}
+              value=""
+              onChange={this.handleExampleChange}
+            >
+              <option value="">choose one</option>
+              {EXAMPLES.map(({name, title}) => (
+                <option key={name} value={name}>{title}</option>
+              ))}
+            </select>
+          </label>
+          {' '}
+          <button onClick={this.handleLinkClick}>
+            Link
+          </button>
         </div>
+        {permalink && (
+          <div className="permalink">
+            Link to this program:{' '}
+            <input
+              type="text"
+              readOnly
+              value={permalink}
+              onFocus={e => e.target.select()}
+            />
+          </div>
+        )}
+        {this.program && !runStopped && runLatestStep > runEarliestStep && this.renderTimeline()}
+        <InputsPanel
+          inputs={this.state.inputs}
+          onChange={this.handleInputsChange}
+        />
+        <BreakpointsPanel
+          breakpoints={this.state.breakpoints}
+          onChange={this.handleBreakpointsChange}
+        />
       </div>
     );
   }
@@ -0,0 +1,30 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+
+// A term of a Sortle expression, or a value on the stack, highlighted.
+export default function Term({term}) {
+  let otherClass = '';
+  let printedTerm = term;
+  if (typeof term === 'string') {
+    otherClass = 'code-string';
+    printedTerm = `"${term}"`;
+  } else if (typeof term === 'number') {
+    otherClass = 'code-number';
+  } else {
+    otherClass = 'code-operator';
+    printedTerm = term.value;
+  }
+  return (
+    <span className={'code-term ' + otherClass}>
+      {printedTerm}{' '}
+    </span>
+  );
+}
+
+Term.propTypes = {
+  term: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.number,
+    PropTypes.shape({value: PropTypes.string}),
+  ]).isRequired,
+};
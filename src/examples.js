@@ -0,0 +1,12 @@
+// The example programs in the web page's gallery, from examples/, where the
+// tests check that they still print what they should.
+
+import factorial from '../examples/factorial.sort';
+import fibonacci from '../examples/fibonacci.sort';
+import hello from '../examples/hello.sort';
+
+export default [
+  {name: 'hello', title: 'Hello, world', code: hello},
+  {name: 'fibonacci', title: 'Fibonacci numbers', code: fibonacci},
+  {name: 'factorial', title: 'Factorial', code: factorial},
+];
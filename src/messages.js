@@ -0,0 +1,51 @@
+// Messages between the page and the worker that runs programs for it (see
+// worker.js). Every message is an object with a `type` from one of these
+// lists, and a `session` number: the page starts a new session each time it
+// starts a program, and ignores messages about earlier ones.
+import keyMirror from 'keymirror';
+
+// From the page to the worker.
+export const PageMessages = keyMirror({
+  // Sets up an interpreter. Also has:
+  //   program: the parsed program.
+  //   state: state to resume from (see lib/snapshot.js), or null.
+  //   breakpoints: as for lib/breakpoints.js.
+  //   historyMaxBytes: memory cap for stepping back (see lib/history.js).
+  //   maxSteps: if not null, start running for up to this many steps.
+  START: null,
+  // Runs until the program ends, an error, a breakpoint or a PAUSE. Also
+  // has maxSteps, the most steps to take.
+  RUN: null,
+  // Takes one step, unless at a breakpoint.
+  STEP: null,
+  PAUSE: null,
+  // Goes back one step. Only while paused.
+  STEP_BACK: null,
+  // Goes to a step in the history. Also has step, the step number.
+  SEEK: null,
+  // Also has breakpoints.
+  SET_BREAKPOINTS: null,
+  // Asks for a SNAPSHOT of the program state.
+  GET_SNAPSHOT: null,
+  // Forgets the session.
+  RESET: null,
+});
+
+// From the worker to the page.
+export const WorkerMessages = keyMirror({
+  // The state of the session, sent while running at most every so often,
+  // and whenever it stops. Has:
+  //   running: boolean
+  //   expressions: Array<[name, id]>, the program state
+  //   ip, step, earliestStep, latestStep: as for lib/history.js
+  //   lastStep: the record of the step that led here, or null
+  //   result: the program's output once it has finished, else null
+  //   error: the runtime error that stopped it, if any, with the fields the
+  //     runtime adds to it
+  //   breakCause: the breakpoint it paused at, if any
+  //   inspection: when paused, how the active expression evaluates:
+  //     {name, terms, events, result, error}, as for EvaluationInspector
+  STATE: null,
+  // Has state, as returned by SortleInterpreter#saveState.
+  SNAPSHOT: null,
+});
@@ -0,0 +1,221 @@
+// Entry point for the web worker that runs programs for Sortle web, so that
+// a slow program doesn't make the page unresponsive. It keeps the debugging
+// session (interpreter, history and breakpoints), and sends the page samples
+// of its state; see messages.js for the protocol.
+
+import {checkAfterStep, checkBeforeStep} from '../lib/breakpoints';
+import {isRuntimeError} from '../lib/errors';
+import {SortleHistory} from '../lib/history';
+import {SortleInterpreter} from '../lib/runtime';
+import {PageMessages, WorkerMessages} from './messages';
+
+// How long to run before checking for messages, such as PAUSE.
+const SLICE_MS = 1000 / 60;
+// How often to send the page the state while running.
+const SAMPLE_MS = 100;
+
+let session = null;
+let interpreter = null;
+let history = null;
+let breakpoints = null;
+let running = false;
+let stepsLeft = 0;
+let error = null;
+let breakCause = null;
+// Step at which the user last started or resumed execution. A breakpoint on
+// the expression about to be evaluated then shouldn't stop us again.
+let resumedAtStep = 0;
+let sliceTimeout = null;
+let lastSampleTime = 0;
+
+function start(message) {
+  const {program, state, historyMaxBytes, maxSteps} = message;
+  stop();
+  // Steps don't need details, as the inspector gets its own by peeking.
+  interpreter = new SortleInterpreter(program, {details: false});
+  if (state) {
+    interpreter.restoreState(state);
+  }
+  history = new SortleHistory(interpreter, {maxBytes: historyMaxBytes});
+  breakpoints = message.breakpoints;
+  error = null;
+  breakCause = null;
+  if (maxSteps == null) {
+    // Don't stop at a breakpoint on the expression we're resuming at.
+    resumedAtStep = history.currentStep;
+    sendState();
+  } else {
+    resumedAtStep = -1;
+    run(maxSteps);
+  }
+}
+
+function run(maxSteps) {
+  running = true;
+  stepsLeft = maxSteps;
+  breakCause = null;
+  lastSampleTime = Date.now();
+  runSlice();
+}
+
+function stop() {
+  running = false;
+  if (sliceTimeout != null) {
+    clearTimeout(sliceTimeout);
+    sliceTimeout = null;
+  }
+}
+
+// Runs for a while, then lets messages be handled before carrying on.
+function runSlice() {
+  sliceTimeout = null;
+  const yieldAfter = Date.now() + SLICE_MS;
+  do {
+    if (interpreter.finished || stepsLeft <= 0) {
+      stop();
+      break;
+    }
+
+    if (history.currentStep !== resumedAtStep) {
+      breakCause = checkBeforeStep(breakpoints, interpreter);
+    }
+    try {
+      if (!breakCause) {
+        const record = history.step();
+        stepsLeft--;
+        breakCause = checkAfterStep(breakpoints, record);
+      }
+    } catch (err) {
+      error = serializeError(err);
+      stop();
+      break;
+    }
+    if (breakCause) {
+      stop();
+      break;
+    }
+  } while (Date.now() < yieldAfter);
+
+  if (!running) {
+    sendState();
+    return;
+  }
+  if (Date.now() - lastSampleTime >= SAMPLE_MS) {
+    lastSampleTime = Date.now();
+    sendState();
+  }
+  sliceTimeout = setTimeout(runSlice, 0);
+}
+
+// Errors can't be sent to the page with all their fields, so copies the ones
+// it needs to a plain object.
+function serializeError(err) {
+  const {name, message, span, origName, expressionName, step, regex} = err;
+  return {
+    name: String(name),
+    message: String(message),
+    span,
+    origName,
+    expressionName,
+    step,
+    regex,
+  };
+}
+
+// Evaluates the active expression without committing the step, recording
+// each term as it is applied.
+function inspectActiveExpression() {
+  const [name, terms] = interpreter.expressions[interpreter.ip];
+  const events = [];
+  let result = null;
+  let inspectionError = null;
+  try {
+    result = interpreter.peek(event => events.push(event));
+  } catch (err) {
+    if (!isRuntimeError(err)) {
+      throw err;
+    }
+    inspectionError = err.message;
+  }
+  return {name, terms, events, result, error: inspectionError};
+}
+
+function sendState() {
+  const paused = !running && !interpreter.finished && !error;
+  self.postMessage({
+    type: WorkerMessages.STATE,
+    session,
+    running,
+    expressions: interpreter.saveState().expressions,
+    ip: interpreter.ip,
+    step: history.currentStep,
+    earliestStep: history.earliestStep,
+    latestStep: history.latestStep,
+    lastStep: history.currentRecord,
+    result: interpreter.result,
+    error,
+    breakCause,
+    inspection: paused ? inspectActiveExpression() : null,
+  });
+}
+
+// Moving through the history undoes the program's error or breakpoint; they
+// will happen again if we run forward.
+function travel(move) {
+  if (running) {
+    return;
+  }
+  move();
+  error = null;
+  breakCause = null;
+  sendState();
+}
+
+const handlers = {
+  [PageMessages.START]: start,
+  [PageMessages.RUN]: ({maxSteps}) => {
+    if (!running) {
+      resumedAtStep = history.currentStep;
+      run(maxSteps);
+    }
+  },
+  [PageMessages.STEP]: () => {
+    if (!running) {
+      resumedAtStep = history.currentStep;
+      run(1);
+    }
+  },
+  [PageMessages.PAUSE]: () => {
+    if (running) {
+      stop();
+      sendState();
+    }
+  },
+  [PageMessages.STEP_BACK]: () => travel(() => history.stepBack()),
+  [PageMessages.SEEK]: ({step}) => travel(() => history.seek(step)),
+  [PageMessages.SET_BREAKPOINTS]: message => {
+    breakpoints = message.breakpoints;
+  },
+  [PageMessages.GET_SNAPSHOT]: () => {
+    self.postMessage({
+      type: WorkerMessages.SNAPSHOT,
+      session,
+      state: interpreter.saveState(),
+    });
+  },
+  [PageMessages.RESET]: () => {
+    stop();
+    interpreter = null;
+    history = null;
+  },
+};
+
+self.onmessage = ({data}) => {
+  if (data.type === PageMessages.START) {
+    session = data.session;
+  } else if (data.session !== session || !interpreter) {
+    // About a session we've since replaced
+    return;
+  }
+  handlers[data.type](data);
+};
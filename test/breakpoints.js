@@ -0,0 +1,46 @@
+const assert = require('assert');
+
+const {checkAfterStep, emptyBreakpoints} = require('../lib/breakpoints');
+const {parseSortleProgram} = require('../lib/parse');
+const {SortleInterpreter} = require('../lib/runtime');
+
+// The causes of the breaks after each step, until the program finishes, or
+// runs away.
+function breaksAfterSteps(code, breakpoints) {
+  const interpreter = new SortleInterpreter(parseSortleProgram(code));
+  const causes = [];
+  while (!interpreter.finished && causes.length < 10) {
+    causes.push(checkAfterStep(breakpoints, interpreter.step()));
+  }
+  return causes;
+}
+
+describe('checkAfterStep', () => {
+  const conditions = {...emptyBreakpoints(), conditions: ['x.']};
+
+  it('breaks when a name matching a condition appears', () => {
+    assert.deepStrictEqual(breaksAfterSteps('a := "xa"\nb := ""', conditions), [
+      {type: 'condition', id: 0, regex: 'x.'},
+      null,
+    ]);
+  });
+
+  it('does not break again while the name is still there', () => {
+    assert.deepStrictEqual(breaksAfterSteps('a := "b"\nb := ""\nxa := ""', conditions), [null, null]);
+    assert.deepStrictEqual(breaksAfterSteps('xa := "xa"\nz := ""', conditions), [null, null]);
+  });
+
+  it('breaks when an expression takes a matching name by clobbering', () => {
+    assert.deepStrictEqual(breaksAfterSteps('a := "xa"\nxa := ""', conditions), [
+      {type: 'condition', id: 0, regex: 'x.'},
+    ]);
+  });
+
+  it('breaks on deletes and clobbers', () => {
+    const breakpoints = {...emptyBreakpoints(), onDelete: true, onClobber: true};
+    assert.deepStrictEqual(breaksAfterSteps('a := "c"\nb := ""\nc := "x"', breakpoints), [
+      {type: 'clobbered', id: 0, clobberedId: 2},
+      {type: 'deleted', id: 1},
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const {spawnSync} = require('child_process');
+const {mkdtempSync, writeFileSync} = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SORTLE = path.join(__dirname, '..', 'sortle.js');
+
+// Runs sortle.js with the arguments in `cwd`, and returns its exit status
+// and what it printed.
+function sortle(args, cwd) {
+  const {status, stdout, stderr} = spawnSync(process.execPath, [SORTLE, ...args], {cwd});
+  return {status, stdout: stdout.toString(), stderr: stderr.toString()};
+}
+
+describe('sortle.js', function() {
+  this.timeout(10000);
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'sortle-'));
+    writeFileSync(path.join(dir, 'test'), 'a := "ran"\nb := ""\n');
+    writeFileSync(path.join(dir, 'lint'), 'a := "ran"\nb := ""\n');
+    writeFileSync(path.join(dir, 'wrap.sort'), 'a := 4294967296 4294967295 +\nb := ""\n');
+    writeFileSync(path.join(dir, 'divide.sort'), 'a := 0 1 /\nb := ""\n');
+  });
+
+  it('rejects options it does not know', () => {
+    const {status, stderr} = sortle(['--strcit', './test'], dir);
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stderr, 'error: unknown option: --strcit\n');
+    assert.strictEqual(sortle(['lint', '--width=40', './test'], dir).status, 1);
+  });
+
+  it('reports a state file it cannot read', () => {
+    const {status, stderr} = sortle(['--resume=missing.json', './test'], dir);
+    assert.strictEqual(status, 1);
+    assert(stderr.startsWith('missing.json: error: ENOENT'), stderr);
+  });
+
+  it('runs a program named like a command after -- or as a path', () => {
+    assert.strictEqual(sortle(['--', 'lint'], dir).stdout, 'ran\n');
+    assert.strictEqual(sortle(['--strict', '--', 'lint'], dir).stdout, 'ran\n');
+    assert.strictEqual(sortle(['./lint'], dir).stdout, 'ran\n');
+    // Without either, it's the lint command, which needs a program to lint
+    assert.strictEqual(sortle(['lint'], dir).status, 1);
+  });
+
+  it('passes --strict to the parser and the runtime', () => {
+    // 4294967296 is parsed as 0, and the sum wraps around
+    assert.strictEqual(sortle(['wrap.sort'], dir).stdout, '8589934591\n');
+    assert.strictEqual(sortle(['--strict', 'wrap.sort'], dir).stdout, '4294967295\n');
+
+    assert.strictEqual(sortle(['divide.sort'], dir).stdout, 'Infinity\n');
+    const {status, stderr} = sortle(['--strict', 'divide.sort'], dir);
+    assert.strictEqual(status, 1);
+    assert(/division by zero/.test(stderr), stderr);
+  });
+});
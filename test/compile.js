@@ -0,0 +1,39 @@
+const assert = require('assert');
+const {execFileSync} = require('child_process');
+const {mkdtempSync, writeFileSync} = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {compileProgram, compileToScript} = require('../lib/compile');
+const {parseSortleProgram} = require('../lib/parse');
+const {outcome, randomProgram} = require('./helpers/programs');
+const {seededRandom, randomTools} = require('./helpers/random');
+
+describe('compileProgram', () => {
+  it('runs programs the same as the interpreter', () => {
+    const tools = randomTools(seededRandom(17));
+    for (let i = 0; i < 200; i++) {
+      const code = randomProgram(tools);
+      [false, true].forEach(strict => {
+        const program = parseSortleProgram(code, {strict, duplicates: 'clobber'});
+        const evaluators = compileProgram(program, {strict});
+        assert.deepStrictEqual(
+          outcome(program, {strict, evaluators}),
+          outcome(program, {strict}),
+          `${strict ? 'strict' : 'non-strict'}:\n${code}`
+        );
+      });
+    }
+  });
+});
+
+describe('compileToScript', () => {
+  it('makes a standalone script that prints the output', function() {
+    this.timeout(10000);
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'sortle-'));
+    const file = path.join(dir, 'hello.js');
+    const program = parseSortleProgram('goodbye := ""\nhello := "hel" "lo" ~');
+    writeFileSync(file, compileToScript(program));
+    assert.strictEqual(execFileSync(process.execPath, [file], {cwd: dir}).toString(), 'hello\n');
+  });
+});
@@ -0,0 +1,65 @@
+const assert = require('assert');
+
+const {formatSortleProgram, formatValue} = require('../lib/format');
+const {parseSortleProgram} = require('../lib/parse');
+const {seededRandom, randomTools} = require('./helpers/random');
+
+describe('formatSortleProgram', () => {
+  it('formats code in the canonical style', () => {
+    const code = [
+      '# c   ',
+      'bb := 007   "\\41é" ~ # t',
+      'a  :=  1',
+      '',
+      '',
+      '',
+      'Zed := "a long string here" "a long string here" ~ "a long string here" ~',
+    ].join('\n');
+    assert.strictEqual(formatSortleProgram(code, {width: 40}), [
+      '# c',
+      'bb := 7 "Aé" ~ # t',
+      'a  := 1',
+      '',
+      'Zed := "a long string here" \\',
+      '       "a long string here" ~ \\',
+      '       "a long string here" ~',
+      '',
+    ].join('\n'));
+  });
+
+  it('rejects code that does not parse', () => {
+    assert.throws(() => formatSortleProgram('a := &'), err => err.name === 'SortleSyntaxError');
+  });
+
+  // Random valid programs, with odd spacing, continuations and comments
+  it('keeps the program the same, and formats formatted code unchanged', () => {
+    const {pick, repeat} = randomTools(seededRandom(12));
+    const TERMS = [
+      '"x"', '"\\41\\0a\\e9é\t"', '"\\5C\\22"', '007', '0', '12',
+      '+', '~', '?', '$', '"a long string here"',
+    ];
+    for (let i = 0; i < 500; i++) {
+      const code = repeat(1, 10, () => (
+        pick(['a', 'bb', 'Zed', 'q']) + pick([' ', ' \\\n ', '  ']) + ':=' +
+        repeat(1, 8, () => pick([' ', '  ', ' \\\n', ' \\\n  ']) + pick(TERMS)).join('') +
+        pick(['', ' #c  ', '  ']) + pick(['\n', '\n\n', '\n# comment\n'])
+      )).join('');
+      const width = pick([20, 40, 80]);
+      const formatted = formatSortleProgram(code, {width});
+      [false, true].forEach(strict => {
+        const parse = source => parseSortleProgram(source, {strict, duplicates: 'clobber'})
+          .map(([name, terms]) => [name, terms]);
+        assert.deepStrictEqual(parse(formatted), parse(code), JSON.stringify(code));
+      });
+      assert.strictEqual(formatSortleProgram(formatted, {width}), formatted, JSON.stringify(code));
+    }
+  });
+});
+
+describe('formatValue', () => {
+  it('formats values as Sortle literals', () => {
+    assert.strictEqual(formatValue(12), '12');
+    assert.strictEqual(formatValue('a"b\\'), '"a\\22b\\5C"');
+    assert.strictEqual(formatValue({type: 'operator', value: '~'}), '~');
+  });
+});
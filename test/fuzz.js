@@ -0,0 +1,30 @@
+const {readdirSync, readFileSync} = require('fs');
+const path = require('path');
+
+const {TARGETS} = require('../fuzz/targets');
+const {seededRandom, randomTools} = require('./helpers/random');
+
+const FIXTURES_DIR = path.join(__dirname, 'fuzz');
+
+// Inputs the fuzzer (see fuzz/index.js) found failing, once minimized.
+describe('fuzzer regressions', () => {
+  readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort().forEach(file => {
+    const {target, input, error} = JSON.parse(readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+    it(`${file}: ${error}`, () => {
+      TARGETS.find(({name}) => name === target).check(input);
+    });
+  });
+});
+
+// A short run of each fuzz target, to check that the invariants still hold
+// for the common cases, and that the fuzzer itself still works.
+describe('fuzz targets', () => {
+  TARGETS.forEach(target => {
+    it(target.name, () => {
+      const tools = randomTools(seededRandom(22));
+      for (let i = 0; i < 300; i++) {
+        target.check(target.generate(tools));
+      }
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const path = require('path');
+
+const {findGoldenTests, runGoldenProgram, runGoldenTest} = require('../lib/golden');
+
+const GOLDEN_DIRS = [
+  path.join(__dirname, 'programs'),
+  // The examples in the web page's gallery
+  path.join(__dirname, '..', 'examples'),
+];
+
+describe('golden programs', () => {
+  GOLDEN_DIRS.forEach(dir => {
+    findGoldenTests(dir).forEach(test => {
+      const name = `${path.basename(dir)}/${test.name}`;
+      [false, true].forEach(compile => {
+        it(`${name}${compile ? ', compiled' : ''}`, () => {
+          assert(test.expected, `${name} has no .out or .err file`);
+          const {passed, actual} = runGoldenTest(test, {compile});
+          assert(passed, `expected ${test.expected.type}: ${test.expected.text}\n` +
+            `actual ${actual.type}: ${actual.text}`);
+        });
+      });
+    });
+  });
+});
+
+describe('runGoldenProgram', () => {
+  it('takes options from a test comment', () => {
+    assert.deepStrictEqual(
+      runGoldenProgram('# test: --max-steps=3\na := "a"\nb := "b"'),
+      {type: 'error', text: 'error: step limit reached after 3 steps'}
+    );
+  });
+
+  it('rejects options it does not know', () => {
+    assert.deepStrictEqual(
+      runGoldenProgram('# test: --strict --trace\na := ""\nb := "b"'),
+      {type: 'error', text: 'error: invalid test option: --trace'}
+    );
+  });
+});
@@ -0,0 +1,72 @@
+// Random Sortle programs, and a way to compare how they run, shared by the
+// tests and the fuzzer (see fuzz/targets.js).
+
+const {isSortleError} = require('../../lib/errors');
+const {runProgram} = require('../../lib/runtime');
+
+const NAMES = ['a', 'b', 'c', 'ab', 'ba', 'bb', 'ca', 'B', 'Zed'];
+
+const TERMS = [
+  '"a"', '"b"', '""', '"1"', '"0"', '"12x"', '"\\41\\e9"', '"é"', '0', '1',
+  '2', '7', '4294967295', '99999999999999999999', '"c"', '"ab"', '"Zed"',
+];
+const REGEX_TERMS = ['"b.!"', '"a(.)@"', '"[ab]!"', '"(.)!b"', '"[a"', '"."'];
+const OPERATORS = ['+', '*', '/', '%', '^', '$', '~', '~', '?', '?'];
+
+// Programs are run for at most this many steps, as many of them never
+// finish.
+const MAX_STEPS = 200;
+
+// Terms for an expression that leaves one value on the stack, or now and
+// then, one that doesn't.
+function randomTerms({int, pick, repeat}) {
+  if (int(0, 9) === 0) {
+    return repeat(1, 6, () => pick([...TERMS, ...OPERATORS]));
+  }
+  const terms = [];
+  let depth = 0;
+  for (let i = int(1, 8); i > 0; i--) {
+    if (depth >= 2 && int(0, 1) === 0) {
+      terms.push(pick(OPERATORS));
+      depth--;
+    } else {
+      terms.push(pick(int(0, 3) === 0 ? REGEX_TERMS : TERMS));
+      depth++;
+    }
+  }
+  for (; depth > 1; depth--) {
+    terms.push(pick(OPERATORS));
+  }
+  return terms;
+}
+
+// The source of a program with a few expressions, which may share names.
+function randomProgram(tools) {
+  const {pick, repeat} = tools;
+  return repeat(2, 6, () => `${pick(NAMES)} := ${randomTerms(tools).join(' ')}`).join('\n');
+}
+
+// The output of running the program, or the error it stops with.
+function outcome(program, options) {
+  try {
+    return {output: runProgram(program, {...options, maxSteps: MAX_STEPS})};
+  } catch (err) {
+    if (!isSortleError(err)) {
+      throw err;
+    }
+    return {
+      name: err.name,
+      message: err.message,
+      termIndex: err.termIndex,
+      origName: err.origName,
+      step: err.step,
+      span: err.span,
+    };
+  }
+}
+
+module.exports.NAMES = NAMES;
+module.exports.MAX_STEPS = MAX_STEPS;
+module.exports.randomTerms = randomTerms;
+module.exports.randomProgram = randomProgram;
+module.exports.outcome = outcome;
@@ -0,0 +1,26 @@
+// A seeded random number generator, so that randomized tests try the same
+// cases on every run and a failure can be reproduced.
+
+// Returns a function giving numbers in [0, 1), like Math.random.
+// (Mulberry32, a small generator that is plenty for tests.)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Helpers for building random test cases from a generator.
+function randomTools(random) {
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = array => array[int(0, array.length - 1)];
+  const repeat = (min, max, fn) => Array.from({length: int(min, max)}, fn);
+  return {int, pick, repeat};
+}
+
+module.exports.seededRandom = seededRandom;
+module.exports.randomTools = randomTools;
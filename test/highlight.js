@@ -0,0 +1,81 @@
+const assert = require('assert');
+
+const {highlightSortleCode, OPERATOR_DESCRIPTIONS} = require('../lib/highlight');
+const {OPERATORS} = require('../lib/tokenize');
+
+// Each line's pieces as [text, type], leaving out spaces.
+function types(code, options) {
+  return highlightSortleCode(code, options).map(pieces => (
+    pieces.filter(({type}) => type !== 'space').map(({text, type}) => [text, type])
+  ));
+}
+
+describe('highlightSortleCode', () => {
+  it('gives back the code when the pieces are joined', () => {
+    const code = 'a := "x\\41" 12 +\t# c\n\n  b  :=  "(.)!" "" ? \\\n    "y" ~';
+    const lines = highlightSortleCode(code).map(pieces => pieces.map(({text}) => text).join(''));
+    assert.deepStrictEqual(lines, code.split('\n'));
+  });
+
+  it('highlights each kind of token', () => {
+    assert.deepStrictEqual(types('ab := "x\\41" 12 + # c'), [[
+      ['ab', 'expression-name'],
+      [':=', 'separator'],
+      ['"x', 'string'],
+      ['\\41', 'escape'],
+      ['"', 'string'],
+      ['12', 'number'],
+      ['+', 'operator'],
+      ['# c', 'comment'],
+    ]]);
+  });
+
+  it('knows expression names from other names, across continued lines', () => {
+    assert.deepStrictEqual(types('a := \\\n  b\nc := "x"'), [
+      [['a', 'expression-name'], [':=', 'separator'], ['\\', 'continuation']],
+      [['b', 'name']],
+      [['c', 'expression-name'], [':=', 'separator'], ['"x"', 'string']],
+    ]);
+  });
+
+  it('pairs regex brackets the way the regex compiler does', () => {
+    const [pieces] = highlightSortleCode('a := "([a)]b"');
+    const brackets = pieces.filter(({type}) => type === 'regex-bracket')
+      .map(({text, col, match}) => [text, col, match]);
+    // Groups don't nest, so the [ has no match, and the ] is just a character.
+    assert.deepStrictEqual(brackets, [['(', 6, 9], ['[', 7, null], [')', 9, 6]]);
+    assert.deepStrictEqual(
+      pieces.filter(({group}) => group).map(({text}) => text),
+      ['(', '[', 'a', ')']
+    );
+
+    const [unclosed] = highlightSortleCode('a := "x[y"');
+    assert.strictEqual(unclosed.find(({type}) => type === 'regex-bracket').match, null);
+  });
+
+  it('marks syntax errors and warnings where they were found', () => {
+    const lines = highlightSortleCode('a := "\\zz"\nb :=\nb := "1"\nb := "2"');
+    const marked = lines.map(pieces => pieces.filter(({severity}) => severity)
+      .map(({text, col, severity, tip}) => [text, col, severity, tip]));
+    assert.deepStrictEqual(marked, [
+      [['z', 7, 'error', 'expected escape sequence (two hexadecimal digits), received "zz']],
+      // Past the end of the line, a space is added to mark
+      [[' ', 4, 'error', 'expected expression, received end of line']],
+      [],
+      [['b', 0, 'warning', 'b is already defined at 3:1, and this definition replaces it']],
+    ]);
+  });
+
+  it('takes the duplicates option', () => {
+    const [_first, second] = highlightSortleCode('b := "1"\nb := "2"', {duplicates: 'error'});
+    assert.strictEqual(second[0].severity, 'error');
+  });
+
+  it('explains every operator', () => {
+    OPERATORS.forEach(operator => {
+      assert(OPERATOR_DESCRIPTIONS[operator], `no description of ${operator}`);
+    });
+    const [pieces] = highlightSortleCode('a := 1 2 /');
+    assert.strictEqual(pieces.find(({text}) => text === '/').tip, OPERATOR_DESCRIPTIONS['/']);
+  });
+});
@@ -0,0 +1,89 @@
+const assert = require('assert');
+
+const {SortleHistory} = require('../lib/history');
+const {parseSortleProgram} = require('../lib/parse');
+const {SortleInterpreter} = require('../lib/runtime');
+
+// Renames its expressions to themselves, so it never finishes, and every
+// step takes the same space in the history.
+const FOREVER = 'a := "a"\nb := "b"';
+
+// Reverses "sortle" in its name, renaming and clobbering as it goes.
+const REVERSE = `\
+sortleEZ := ".(.)!E" "x" ? "E" ~ "(.)" "x" ? ~ "E(.)!Z" "x" ? ~ "Z" ~
+A        := "E.!Z" "" ? "A" ^`;
+
+function interpreterFor(code) {
+  return new SortleInterpreter(parseSortleProgram(code), {details: false});
+}
+
+function state(interpreter) {
+  return {
+    expressions: interpreter.expressions.map(([name, _terms, id]) => [name, id]),
+    ip: interpreter.ip,
+    steps: interpreter.steps,
+  };
+}
+
+describe('SortleHistory', () => {
+  it('goes back and forth through the steps it has taken', () => {
+    const interpreter = interpreterFor(REVERSE);
+    const history = new SortleHistory(interpreter);
+    const states = [state(interpreter)];
+    while (!interpreter.finished) {
+      history.step();
+      states.push(state(interpreter));
+    }
+
+    history.seek(0);
+    assert.deepStrictEqual(state(interpreter), states[0]);
+    history.seek(5);
+    assert.deepStrictEqual(state(interpreter), states[5]);
+    assert(history.stepBack());
+    assert.deepStrictEqual(state(interpreter), states[4]);
+    history.seek(Infinity);
+    assert.deepStrictEqual(state(interpreter), states[states.length - 1]);
+    assert.strictEqual(interpreter.result, 'EeltrosZ');
+  });
+
+  it('forgets the oldest steps to stay under maxBytes', () => {
+    const interpreter = interpreterFor(FOREVER);
+    const history = new SortleHistory(interpreter, {maxBytes: 1000});
+    for (let i = 0; i < 100; i++) {
+      history.step();
+      assert(history.bytes <= history.maxBytes, `${history.bytes} bytes after step ${i + 1}`);
+    }
+    assert.strictEqual(history.latestStep, 100);
+    assert(history.earliestStep > 0);
+    assert.strictEqual(history.records.length, history.latestStep - history.earliestStep);
+    assert.strictEqual(history.records[0].step, history.earliestStep + 1);
+
+    // The earliest step moves on as more are taken
+    const {earliestStep} = history;
+    for (let i = 0; i < 20; i++) {
+      history.step();
+    }
+    assert(history.earliestStep > earliestStep);
+  });
+
+  it('refuses to go back past the steps it has forgotten', () => {
+    const interpreter = interpreterFor(FOREVER);
+    const history = new SortleHistory(interpreter, {maxBytes: 1000});
+    for (let i = 0; i < 100; i++) {
+      history.step();
+    }
+    const {earliestStep} = history;
+
+    history.seek(0);
+    assert.strictEqual(history.currentStep, earliestStep);
+    assert.strictEqual(history.currentRecord, null);
+    const before = state(interpreter);
+    assert.strictEqual(history.stepBack(), false);
+    assert.deepStrictEqual(state(interpreter), before);
+
+    // Going forward again repeats the recorded steps, without evaluating
+    history.seek(100);
+    assert.strictEqual(history.currentStep, 100);
+    assert.strictEqual(history.latestStep, 100);
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const {run} = require('..');
+const {addInputs, parseInputDefinition, validateInputName} = require('../lib/inputs');
+const {parseSortleProgram} = require('../lib/parse');
+const {SortleInterpreter} = require('../lib/runtime');
+const {createSnapshot, readSnapshot} = require('../lib/snapshot');
+
+// Runs to the end after the first step.
+const DEFAULT_CODE = 'a := "default"\nb := ""';
+
+describe('inputs', () => {
+  it('adds each input as an expression, keeping the program sorted', () => {
+    const program = addInputs(parseSortleProgram('b := "x"'), [
+      {name: 'c', value: '3'},
+      {name: 'a', value: '1'},
+    ]);
+    assert.deepStrictEqual(program.map(([name, terms]) => [name, terms]), [
+      ['a', ['1']],
+      ['b', ['x']],
+      ['c', ['3']],
+    ]);
+    assert.strictEqual(program[0][2], null);
+  });
+
+  it('replaces an expression of the same name, and lets later inputs win', () => {
+    const parsed = parseSortleProgram(DEFAULT_CODE);
+    const program = addInputs(parsed, [{name: 'a', value: '1'}, {name: 'a', value: '2'}]);
+    assert.deepStrictEqual(program.map(([name, terms]) => [name, terms]), [
+      ['a', ['2']],
+      ['b', ['']],
+    ]);
+    assert.deepStrictEqual(parsed[0][1], ['default'], 'the program passed in changed');
+  });
+
+  it('encodes values as UTF-8 in strict mode', () => {
+    const input = [{name: 'a', value: 'café'}];
+    assert.deepStrictEqual(addInputs([], input)[0][1], ['café']);
+    assert.deepStrictEqual(addInputs([], input, {strict: true})[0][1], ['caf\xc3\xa9']);
+  });
+
+  it('rejects names the parser would', () => {
+    assert.strictEqual(validateInputName('Zed'), null);
+    assert.strictEqual(validateInputName(''), 'input name is empty');
+    assert.strictEqual(
+      validateInputName('n1'),
+      'invalid input name "n1": names must be letters only, A-Z and a-z'
+    );
+    assert.throws(
+      () => addInputs([], [{name: 'a b', value: ''}]),
+      err => err.name === 'SortleInputError' && err.inputName === 'a b'
+    );
+  });
+
+  it('parses definitions from the command line', () => {
+    assert.deepStrictEqual(parseInputDefinition('n=10'), {name: 'n', value: '10'});
+    assert.deepStrictEqual(parseInputDefinition('n=a=b'), {name: 'n', value: 'a=b'});
+    assert.deepStrictEqual(parseInputDefinition('n='), {name: 'n', value: ''});
+    assert.strictEqual(parseInputDefinition('n'), null);
+  });
+
+  it('are given to run', () => {
+    assert.strictEqual(run(DEFAULT_CODE), 'default');
+    assert.strictEqual(run(DEFAULT_CODE, {inputs: [{name: 'a', value: '10'}]}), '10');
+  });
+
+  it('must match for a snapshot to be resumed', () => {
+    const code = 'a := "x" 1 +\nb := ""';
+    const inputs = [{name: 'b', value: 'y'}];
+    const program = addInputs(parseSortleProgram(code), inputs);
+    const interpreter = new SortleInterpreter(program);
+    interpreter.step();
+    const snapshot = createSnapshot(interpreter.saveState(), code, {inputs});
+
+    assert(readSnapshot(snapshot, program, code, {inputs}));
+    [[], [{name: 'b', value: 'z'}]].forEach(otherInputs => {
+      assert.throws(
+        () => readSnapshot(snapshot, program, code, {inputs: otherInputs}),
+        err => err.name === 'SortleSnapshotError'
+      );
+    });
+  });
+});
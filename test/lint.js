@@ -0,0 +1,88 @@
+const assert = require('assert');
+const {spawnSync} = require('child_process');
+const {mkdtempSync, writeFileSync} = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {lintSortleProgram} = require('../lib/lint');
+
+const SORTLE = path.join(__dirname, '..', 'sortle.js');
+
+// Each diagnostic's code, with where it starts.
+function lint(code) {
+  return lintSortleProgram(code).map(({code: diagnosticCode, row, col}) => (
+    `${row + 1}:${col + 1}: ${diagnosticCode}`
+  ));
+}
+
+describe('lintSortleProgram', () => {
+  it('finds nothing wrong with a program whose names all match a regex', () => {
+    assert.deepStrictEqual(lint('a := "b" "" ?\nb := "." "" ?'), []);
+  });
+
+  it('reports an operator without two values to take', () => {
+    assert.deepStrictEqual(lint('a := "x" ~\nb := "." "" ?'), ['1:10: stack-underflow']);
+  });
+
+  it('reports an expression that leaves more than one value', () => {
+    assert.deepStrictEqual(lint('a := "x" "y"\nb := "." "" ?'), ['1:1: stack-depth']);
+  });
+
+  it('reports invalid regexes', () => {
+    assert.deepStrictEqual(lint('a := "[x" "" ?\nb := "." "" ?'), ['1:14: invalid-regex']);
+  });
+
+  it('warns of a ! or @ at the start of a regex', () => {
+    assert.deepStrictEqual(lint('a := "!b" "" ?\nb := "." "" ?'), ['1:14: regex-leading-modifier']);
+    assert.deepStrictEqual(lint('a := "(@b)" "" ?\nb := "." "" ?'), ['1:16: regex-leading-modifier']);
+  });
+
+  it('points out names no regex can match', () => {
+    assert.deepStrictEqual(lint('a := "b" "" ?\nb := ""'), ['1:1: unmatched-name']);
+    // Unless a regex isn't known until the program runs
+    assert.deepStrictEqual(lint('a := "b" "" ?\nb := "a" "" ? "" ?'), []);
+  });
+
+  it('reports syntax errors along with the rest', () => {
+    assert.deepStrictEqual(lint('a := "x" "y"\nb := 1x'), ['1:1: stack-depth', '2:7: syntax']);
+  });
+
+  it('gives the severity, message and span of each', () => {
+    assert.deepStrictEqual(lintSortleProgram('a := "x" ~\nb := "." "" ?'), [{
+      severity: 'error',
+      code: 'stack-underflow',
+      message: '~ needs 2 values on the stack, but there will be 1',
+      row: 0,
+      col: 9,
+      endRow: 0,
+      endCol: 10,
+    }]);
+  });
+});
+
+describe('sortle lint', function() {
+  this.timeout(10000);
+
+  it('prints the diagnostics as JSON with --format=json', () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'sortle-'));
+    writeFileSync(path.join(dir, 'bad.sort'), 'a := "[x" "" ?\nb := "." "" ?\n');
+    const {status, stdout} = spawnSync(
+      process.execPath,
+      [SORTLE, 'lint', '--format=json', 'bad.sort'],
+      {cwd: dir}
+    );
+    assert.strictEqual(status, 1);
+    assert.deepStrictEqual(JSON.parse(stdout.toString()), {
+      filename: 'bad.sort',
+      diagnostics: [{
+        severity: 'error',
+        code: 'invalid-regex',
+        message: 'invalid regex "[x": unclosed [',
+        row: 0,
+        col: 13,
+        endRow: 0,
+        endCol: 14,
+      }],
+    });
+  });
+});
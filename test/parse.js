@@ -0,0 +1,153 @@
+const assert = require('assert');
+
+const {parseSortleProgram, parseSortleProgramWithErrors} = require('../lib/parse');
+
+const op = value => ({type: 'operator', value});
+
+// Parses the code, expecting a syntax error, and returns it.
+function syntaxError(code, options = {}) {
+  let error = null;
+  try {
+    parseSortleProgram(code, options);
+  } catch (err) {
+    error = err;
+  }
+  assert(error, `expected a syntax error for ${JSON.stringify(code)}`);
+  assert.strictEqual(error.name, 'SortleSyntaxError');
+  return error;
+}
+
+describe('parseSortleProgram', () => {
+  it('parses expressions, sorted by name', () => {
+    const program = parseSortleProgram('b := 1 "x\\41" +\na := 007 "" ? # comment');
+    assert.deepStrictEqual(
+      program.map(([name, terms]) => [name, terms]),
+      [
+        ['a', [7, '', op('?')]],
+        ['b', [1, 'xA', op('+')]],
+      ]
+    );
+  });
+
+  it('gives the source span of each expression and term', () => {
+    const [[_name, _terms, source]] = parseSortleProgram('\nabc := 12  "x"');
+    assert.deepStrictEqual(source, {
+      row: 1, col: 0, endRow: 1, endCol: 14,
+      terms: [
+        {row: 1, col: 7, endRow: 1, endCol: 9},
+        {row: 1, col: 11, endRow: 1, endCol: 14},
+      ],
+    });
+  });
+
+  it('joins lines ending in a backslash', () => {
+    const program = parseSortleProgram('a := 1 \\\n  2 + # comment\nb := ""');
+    assert.deepStrictEqual(program[0][1], [1, 2, op('+')]);
+    assert.strictEqual(program[0][2].endRow, 1);
+  });
+
+  it('ignores comments and blank lines', () => {
+    const program = parseSortleProgram('# a comment\n\n  \na := "#" # "x"\n');
+    assert.deepStrictEqual(program.map(([name, terms]) => [name, terms]), [['a', ['#']]]);
+  });
+
+  describe('in strict mode', () => {
+    it('reduces numbers modulo 2**32, without losing precision', () => {
+      const [[_name, terms]] = parseSortleProgram(
+        'a := 4294967296 99999999999999999999',
+        {strict: true}
+      );
+      assert.deepStrictEqual(terms, [0, 1661992959]);
+    });
+
+    it('encodes strings as UTF-8 bytes, and escapes as single bytes', () => {
+      const [[_name, terms]] = parseSortleProgram('a := "é" "\\C3\\A9" "\\FF"', {strict: true});
+      assert.deepStrictEqual(terms, ['\xc3\xa9', '\xc3\xa9', '\xff']);
+    });
+  });
+
+  describe('duplicate names', () => {
+    const code = 'a := "x"\na := "y"\nb := ""';
+
+    it('are replaced by the later definition, with a warning, by default', () => {
+      const warnings = [];
+      const program = parseSortleProgram(code, {onWarning: w => warnings.push(w)});
+      assert.deepStrictEqual(program.map(([name, terms]) => [name, terms]), [
+        ['a', ['y']],
+        ['b', ['']],
+      ]);
+      assert.strictEqual(warnings.length, 1);
+      assert.strictEqual(warnings[0].code, 'duplicate-name');
+      assert.strictEqual(warnings[0].row, 1);
+      assert.strictEqual(warnings[0].col, 0);
+      assert.deepStrictEqual(warnings[0].firstDefinition, {row: 0, col: 0});
+    });
+
+    it('are replaced without a warning with the clobber policy', () => {
+      const warnings = [];
+      const program = parseSortleProgram(code, {
+        duplicates: 'clobber',
+        onWarning: w => warnings.push(w),
+      });
+      assert.deepStrictEqual(program[0][1], ['y']);
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    it('are an error with the error policy', () => {
+      const error = syntaxError(code, {duplicates: 'error'});
+      assert.strictEqual(error.row, 1);
+      assert.strictEqual(error.col, 0);
+      assert.strictEqual(error.expected, 'unique expression name');
+      assert.strictEqual(error.received, 'a, already defined at 1:1');
+      assert.deepStrictEqual(error.firstDefinition, {row: 0, col: 0});
+    });
+
+    it('rejects an unknown policy', () => {
+      assert.throws(() => parseSortleProgram(code, {duplicates: 'ignore'}), /unknown duplicates policy/);
+    });
+  });
+
+  describe('syntax errors', () => {
+    // [code, row, col, expected, received]
+    const cases = [
+      ['1 := 2', 0, 0, 'expression name', null],
+      ['a1 := 2', 0, 0, 'expression name', 'a'],
+      ['  := 1', 0, 2, 'expression name', null],
+      ['a := 1\n\n\nb:= 3', 3, 0, 'expression name', 'b'],
+      ['a', 0, 1, ':=', 'end of line'],
+      ['a 1', 0, 2, ':=', null],
+      ['a :=1', 0, 4, 'whitespace', null],
+      ['a :=', 0, 4, 'expression', 'end of line'],
+      ['a := "\\zz"', 0, 7, 'escape sequence (two hexadecimal digits)', '"zz'],
+      ['a := "x"1', 0, 8, 'whitespace', null],
+      ['a := "x', 0, 5, 'string', 'unterminated string'],
+      ['a := 1 +2', 0, 8, 'whitespace', null],
+      ['a := 1x', 0, 6, 'whitespace', null],
+      ['a := &', 0, 5, 'term', null],
+      ['a := 1\nb := 2 \\\n  3 &', 2, 4, 'term', null],
+    ];
+
+    cases.forEach(([code, row, col, expected, received]) => {
+      it(`in ${JSON.stringify(code)}`, () => {
+        const error = syntaxError(code);
+        assert.deepStrictEqual(
+          {row: error.row, col: error.col, expected: error.expected, received: error.received},
+          {row, col, expected, received}
+        );
+        assert.deepStrictEqual(error.span, {row, col, endRow: row, endCol: col + 1});
+        assert.strictEqual(
+          error.message,
+          `expected ${expected}` + (received ? `, received ${received}` : '')
+        );
+      });
+    });
+  });
+});
+
+describe('parseSortleProgramWithErrors', () => {
+  it('gives every error, and the expressions without errors', () => {
+    const {program, errors} = parseSortleProgramWithErrors('a := &\nb := 1\nc :=1\nd := ""');
+    assert.deepStrictEqual(program.map(([name]) => name), ['b', 'd']);
+    assert.deepStrictEqual(errors.map(({row, col}) => [row, col]), [[0, 5], [2, 4]]);
+  });
+});
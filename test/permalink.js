@@ -0,0 +1,96 @@
+const assert = require('assert');
+const ADLER32 = require('adler-32');
+const {deflateRawSync} = require('zlib');
+
+const {emptyBreakpoints} = require('../lib/breakpoints');
+const {createPermalink, readPermalink} = require('../lib/permalink');
+
+// Makes a permalink fragment with the given JSON in it, as createPermalink
+// would, to test what it wouldn't make.
+function fragmentFor(json) {
+  const checksum = ('0000000' + (ADLER32.str(json) >>> 0).toString(16)).slice(-8);
+  const data = deflateRawSync(Buffer.from(json)).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `s1.${checksum}.${data}`;
+}
+
+function readError(fragment) {
+  let error = null;
+  try {
+    readPermalink(fragment);
+  } catch (err) {
+    error = err;
+  }
+  assert(error, `expected an error from ${JSON.stringify(fragment)}`);
+  assert.strictEqual(error.name, 'SortlePermalinkError');
+  return error.message;
+}
+
+describe('permalinks', () => {
+  const session = {
+    code: 'a := "café" "+" ~\nb := ""\n',
+    inputs: [{name: 'n', value: '10'}, {name: 'who', value: 'wörld / ünïcode'}],
+    duplicates: 'error',
+    breakpoints: {
+      expressions: ['a'],
+      onDelete: true,
+      onClobber: false,
+      conditions: ['b(.)!'],
+    },
+  };
+
+  it('give back the session they were made from', () => {
+    assert.deepStrictEqual(readPermalink(createPermalink(session)), session);
+    assert.deepStrictEqual(readPermalink('#' + createPermalink(session)), session);
+  });
+
+  it('are safe to put in a URL unescaped', () => {
+    assert(/^[A-Za-z0-9._-]+$/.test(createPermalink(session)));
+  });
+
+  it('leave out settings left at their defaults, and fill them back in', () => {
+    const fragment = createPermalink({code: 'a := ""'});
+    assert(fragment.length < createPermalink({...session, code: 'a := ""'}).length);
+    assert.deepStrictEqual(readPermalink(fragment), {
+      code: 'a := ""',
+      inputs: [],
+      duplicates: 'warn',
+      breakpoints: emptyBreakpoints(),
+    });
+  });
+
+  it('compress the code', () => {
+    const code = 'a := "x" "y" ~\n'.repeat(100);
+    assert(createPermalink({code}).length < code.length / 4);
+  });
+
+  it('reject links that are not permalinks, or are damaged', () => {
+    const fragment = createPermalink(session);
+    const [version, checksum, data] = fragment.split('.');
+    assert.strictEqual(readError('example'), 'not a link to a Sortle program');
+    assert.strictEqual(readError(`s0.${checksum}.${data}`), 'not a link to a Sortle program');
+    assert.strictEqual(readError(`${version}.${checksum}.${data}!`), 'link is damaged: invalid characters');
+    assert.strictEqual(readError(`${version}.${checksum}.${data.slice(0, -10)}`), 'link is damaged: cannot decompress it');
+    assert.strictEqual(readError(`${version}.00000000.${data}`), 'link is damaged: checksum does not match');
+  });
+
+  it('reject sessions that are not valid', () => {
+    assert(readError(fragmentFor('{"code":')).startsWith('link is damaged: '));
+    assert.strictEqual(readError(fragmentFor('{}')), 'link has no code');
+    assert.strictEqual(readError(fragmentFor('{"code":"","inputs":[["n"]]}')), 'invalid inputs');
+    assert.strictEqual(
+      readError(fragmentFor('{"code":"","inputs":[["n1","x"]]}')),
+      'invalid input name "n1": names must be letters only, A-Z and a-z'
+    );
+    assert.strictEqual(
+      readError(fragmentFor('{"code":"","duplicates":"ignore"}')),
+      'invalid duplicates setting: ignore'
+    );
+    assert.strictEqual(readError(fragmentFor('{"code":"","breakpoints":null}')), 'invalid breakpoints');
+    const breakpoints = {...emptyBreakpoints(), conditions: ['(a']};
+    assert.strictEqual(
+      readError(fragmentFor(JSON.stringify({code: '', breakpoints}))),
+      'invalid breakpoint condition "(a": unclosed ('
+    );
+  });
+});
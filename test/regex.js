@@ -0,0 +1,185 @@
+const assert = require('assert');
+
+const {
+  compileRegex,
+  evalRegex,
+  evalSubstringRegex,
+  matchCompiledRegex,
+  matchCompiledRegexRecursive,
+  regexPrefix,
+} = require('../lib/regex');
+const {seededRandom, randomTools} = require('./helpers/random');
+
+// What the reference matcher gives for a whole-string match: the capture,
+// or the string if there's no capturing group, or undefined.
+function match(regex, str) {
+  const result = matchCompiledRegexRecursive(compileRegex(regex), str);
+  return result ? result.match : undefined;
+}
+
+describe('matchCompiledRegexRecursive', () => {
+  it('matches literal characters and . against the whole string', () => {
+    assert.strictEqual(match('abc', 'abc'), 'abc');
+    assert.strictEqual(match('a.c', 'axc'), 'axc');
+    assert.strictEqual(match('abc', 'abcd'), undefined);
+    assert.strictEqual(match('abc', 'ab'), undefined);
+    assert.strictEqual(match('', ''), '');
+  });
+
+  it('repeats the element before ! one or more times', () => {
+    assert.strictEqual(match('ab!', 'abbb'), 'abbb');
+    assert.strictEqual(match('ab!', 'a'), undefined);
+    assert.strictEqual(match('ab!c', 'abbc'), 'abbc');
+    // Only the last character of a run of literals repeats
+    assert.strictEqual(match('ab!', 'abab'), undefined);
+  });
+
+  it('makes the element before @ optional', () => {
+    assert.strictEqual(match('ab@', 'a'), 'a');
+    assert.strictEqual(match('ab@', 'ab'), 'ab');
+    assert.strictEqual(match('ab@', 'abb'), undefined);
+    assert.strictEqual(match('ab@c', 'ac'), 'ac');
+    assert.strictEqual(match('ab@c', 'axc'), undefined);
+  });
+
+  it('treats [] as one element, for ! and @', () => {
+    assert.strictEqual(match('x[ab]!', 'xababab'), 'xababab');
+    assert.strictEqual(match('x[ab]!', 'xaba'), undefined);
+    assert.strictEqual(match('x[ab]@y', 'xy'), 'xy');
+    assert.strictEqual(match('x[ab]@y', 'xaby'), 'xaby');
+    assert.strictEqual(match('x[]!y', 'xy'), 'xy');
+  });
+
+  it('gives what () matched', () => {
+    assert.strictEqual(match('a(..)c', 'axyc'), 'xy');
+    assert.strictEqual(match('b(.)!', 'bird'), 'ird');
+    assert.strictEqual(match('(a)!b', 'aaab'), 'aaa');
+    assert.strictEqual(match('(x)@y', 'y'), '');
+  });
+
+  it('is lazy, repeating the first repeated element as few times as it can', () => {
+    assert.strictEqual(match('(.)!.!', 'abcd'), 'a');
+    assert.strictEqual(match('.!(.)!', 'abcd'), 'bcd');
+  });
+});
+
+describe('compileRegex', () => {
+  it('rejects invalid regexes', () => {
+    const cases = [
+      ['[x', /unclosed \[/],
+      ['(x', /unclosed \(/],
+      ['[a(b)]', /cannot nest groups/],
+      ['(a)(b)', /cannot use multiple \(\) groups/],
+    ];
+    cases.forEach(([regex, message]) => {
+      assert.throws(() => compileRegex(regex), err => (
+        err.name === 'SortleRegexError' && err.regex === regex && message.test(err.message)
+      ));
+    });
+  });
+});
+
+describe('regexPrefix', () => {
+  it('gives the literal text every match begins with', () => {
+    assert.strictEqual(regexPrefix('abc'), 'abc');
+    assert.strictEqual(regexPrefix('ab.d'), 'ab');
+    assert.strictEqual(regexPrefix('abc!d'), 'abc');
+    assert.strictEqual(regexPrefix('abc@d'), 'ab');
+    assert.strictEqual(regexPrefix('a[bc]d'), 'abcd');
+    assert.strictEqual(regexPrefix('.x'), '');
+  });
+});
+
+describe('evalRegex', () => {
+  it('gives the first name that matches, or the capture', () => {
+    assert.strictEqual(evalRegex('b.', ['a', 'bc', 'bd']), 'bc');
+    assert.strictEqual(evalRegex('b(.)', ['a', 'bc', 'bd']), 'c');
+  });
+
+  it('gives the empty string if nothing matches', () => {
+    assert.strictEqual(evalRegex('z', ['a', 'b']), '');
+  });
+
+  it('records the names tried', () => {
+    const trace = {candidates: [], skipped: [], matched: null};
+    evalRegex('b.', ['ab', 'b', 'bc', 'bd'], trace);
+    // ab doesn't begin with the prefix, so is skipped without trying it
+    assert.deepStrictEqual(trace, {candidates: ['ab', 'b', 'bc'], skipped: [0], matched: 'bc'});
+  });
+});
+
+describe('evalSubstringRegex', () => {
+  it('tries the leftmost substrings first, then the shortest', () => {
+    assert.strictEqual(evalSubstringRegex('l(.)', 'hello'), 'l');
+    assert.strictEqual(evalSubstringRegex('e(.)!o', 'hello'), 'll');
+    assert.strictEqual(evalSubstringRegex('b(.)!', 'bird'), 'i');
+    assert.strictEqual(evalSubstringRegex('.!', 'abc'), 'a');
+  });
+
+  it('gives the empty string if no substring matches', () => {
+    assert.strictEqual(evalSubstringRegex('z', 'hello'), '');
+  });
+
+  it('records the substrings tried', () => {
+    const trace = {candidates: [], skipped: [], matched: null};
+    evalSubstringRegex('l.', 'hello', trace);
+    assert.deepStrictEqual(trace, {
+      candidates: ['h', 'he', 'hel', 'hell', 'hello', 'e', 'el', 'ell', 'ello', 'l', 'll'],
+      skipped: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+      matched: 'll',
+    });
+  });
+});
+
+describe('matchCompiledRegex', () => {
+  // Random regexes made of these pieces, which are often invalid, and
+  // random strings to match them against.
+  const REGEX_PIECES = ['a', 'b', '.', '!', '@', '[', '(', ')', ']', 'ab', 'a.'];
+  const STRING_PIECES = ['a', 'b', 'c'];
+
+  it('matches the same as matchCompiledRegexRecursive', () => {
+    const {pick, repeat} = randomTools(seededRandom(16));
+    let tried = 0;
+    while (tried < 3000) {
+      const regex = repeat(0, 6, () => pick(REGEX_PIECES)).join('');
+      let compiled;
+      try {
+        compiled = compileRegex(regex);
+      } catch (err) {
+        continue;
+      }
+      tried++;
+
+      const names = repeat(5, 5, () => repeat(0, 6, () => pick(STRING_PIECES)).join(''));
+      names.forEach(name => {
+        const expected = matchCompiledRegexRecursive(compiled, name);
+        assert.strictEqual(
+          matchCompiledRegex(compiled, name),
+          expected ? expected.match : undefined,
+          `${JSON.stringify(regex)} against ${JSON.stringify(name)}`
+        );
+        if (expected) {
+          assert(name.startsWith(regexPrefix(regex)));
+        }
+      });
+
+      // And the ways the runtime uses it, which skip strings by prefix
+      const firstMatch = names
+        .map(name => matchCompiledRegexRecursive(compiled, name))
+        .find(result => result);
+      assert.strictEqual(evalRegex(regex, names), firstMatch ? firstMatch.match : '');
+
+      const str = names[0] + names[1];
+      let substringMatch = null;
+      for (let start = 0; start < str.length && !substringMatch; start++) {
+        for (let end = start + 1; end <= str.length && !substringMatch; end++) {
+          substringMatch = matchCompiledRegexRecursive(compiled, str.substring(start, end));
+        }
+      }
+      assert.strictEqual(
+        evalSubstringRegex(regex, str),
+        substringMatch ? substringMatch.match : ''
+      );
+    }
+  });
+});
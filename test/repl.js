@@ -0,0 +1,144 @@
+const assert = require('assert');
+const {mkdtempSync, readFileSync, writeFileSync} = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {SortleRepl} = require('../lib/repl');
+
+// Runs each line of input in a new session, and returns the output of the
+// last one.
+function session(...inputs) {
+  const repl = new SortleRepl();
+  let output;
+  inputs.forEach(input => {
+    output = repl.execute(input);
+  });
+  return output;
+}
+
+describe('SortleRepl', () => {
+  it('defines, replaces and deletes expressions', () => {
+    const repl = new SortleRepl();
+    assert.deepStrictEqual(repl.execute('b := "c"'), ['defined b']);
+    assert.deepStrictEqual(repl.execute('a := "x" "y" ~'), ['defined a']);
+    assert.deepStrictEqual(repl.execute('b := "d"'), ['replaced b']);
+    assert.deepStrictEqual(repl.execute(':list'), [
+      '  a := "x" "y" ~',
+      '> b := "d"',
+    ]);
+    assert.deepStrictEqual(repl.execute(':delete b'), ['deleted b']);
+    assert.deepStrictEqual(repl.execute(':delete b'), ['error: no expression named b']);
+    assert.deepStrictEqual(repl.execute(':list'), ['> a := "x" "y" ~']);
+  });
+
+  it('defines one expression at a time', () => {
+    assert.deepStrictEqual(session('x := 5\ny := 6'), ['error: define one expression at a time']);
+    assert.deepStrictEqual(session('x := 1x'), [
+      'x := 1x',
+      '      ^',
+      'error: expected whitespace',
+    ]);
+    assert.deepStrictEqual(session('# just a comment'), []);
+  });
+
+  it('takes steps until the program finishes', () => {
+    const repl = new SortleRepl();
+    repl.execute('a := "c"');
+    repl.execute('b := ""');
+    assert.deepStrictEqual(repl.execute(':step'), ['step 1: a renamed to c']);
+    assert.deepStrictEqual(repl.execute(':step 5'), ['step 2: b deleted', 'finished; output: c']);
+    assert.deepStrictEqual(repl.execute(':step'), ['finished; output: c']);
+    assert.deepStrictEqual(repl.execute(':step x'), ['usage: :step [N]']);
+  });
+
+  it('shows where a step stopped with a runtime error', () => {
+    assert.deepStrictEqual(session('a := 1 +', 'b := ""', ':step'), [
+      'error: cannot execute +: need 2 elements on stack, have 1',
+      '  in expression a, at step 1',
+    ]);
+  });
+
+  it('evaluates an expression without renaming it, showing the stack', () => {
+    const repl = new SortleRepl();
+    repl.execute('a := "x" "y" ~');
+    repl.execute('b := "b." "" ?');
+    repl.execute('bc := ""');
+    assert.deepStrictEqual(repl.execute(':eval'), [
+      '  "x"  "x"',
+      '  "y"  "x" "y"',
+      '  ~    "xy"',
+      '=> xy',
+    ]);
+    assert.deepStrictEqual(repl.execute(':eval b'), [
+      '  "b."  "b."',
+      '  ""    "b." ""',
+      '  ?     "bc"',
+      '=> bc',
+    ]);
+    assert.deepStrictEqual(repl.execute(':eval 1 2 +'), ['  1  1', '  2  1 2', '  +  3', '=> "3"']);
+    assert.deepStrictEqual(repl.execute(':eval 1 +'), [
+      '  1  1',
+      'error: cannot execute +: need 2 elements on stack, have 1',
+    ]);
+    assert.deepStrictEqual(repl.execute(':eval zz'), ['error: no expression named zz']);
+    assert.deepStrictEqual(repl.execute(':list')[0], '> a  := "x" "y" ~');
+  });
+
+  it('matches regexes against the names, and shows the names tried', () => {
+    const repl = new SortleRepl();
+    repl.execute('a := ""');
+    repl.execute('ba := ""');
+    repl.execute('bb := ""');
+    repl.execute('c := ""');
+    // From the end, as a is next
+    assert.deepStrictEqual(repl.execute(':match .(a)'), ['tried: c, bb, ba', 'matched ba', '=> a']);
+    // Names that don't begin with the regex's literal prefix aren't tried
+    assert.deepStrictEqual(repl.execute(':match b(a)'), ['tried: ba', 'matched ba', '=> a']);
+    assert.deepStrictEqual(repl.execute(':match x'), ['tried: nothing', 'no match', '=> ""']);
+    assert.deepStrictEqual(repl.execute(':substr .'), ['tried: a', 'matched a', '=> a']);
+    assert.deepStrictEqual(repl.execute(':match [x'), ['error: unclosed [']);
+    assert.deepStrictEqual(repl.execute(':match'), ['usage: :match regex']);
+  });
+
+  it('saves and loads programs', () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'sortle-'));
+    const file = path.join(dir, 'saved.sort');
+    const repl = new SortleRepl();
+    repl.execute('a := "a"');
+    repl.execute('b := ""');
+    repl.execute(':step');
+    assert.deepStrictEqual(repl.execute(`:save ${file}`), [
+      `saved 2 expressions to ${file}`,
+      'note: the program will start from a, not b',
+    ]);
+    assert.strictEqual(readFileSync(file, 'utf8'), 'a := "a"\nb := ""\n');
+
+    repl.execute(':clear');
+    assert.deepStrictEqual(repl.execute(':list'), ['no expressions']);
+    assert.deepStrictEqual(repl.execute(`:load ${file}`), ['loaded 2 expressions']);
+    assert.deepStrictEqual(repl.execute(':list'), ['> a := "a"', '  b := ""']);
+  });
+
+  it('reports files it cannot load or save', () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'sortle-'));
+    const missing = path.join(dir, 'missing.sort');
+    const [error] = session(`:load ${missing}`);
+    assert(error.startsWith(`error: cannot read ${missing}: ENOENT`), error);
+
+    const bad = path.join(dir, 'bad.sort');
+    writeFileSync(bad, 'a := 1x\n');
+    assert.deepStrictEqual(session(`:load ${bad}`), [
+      'a := 1x',
+      '      ^',
+      `${bad}:1:7: error: expected whitespace`,
+    ]);
+
+    assert.deepStrictEqual(session('a := 1', 'b := "b"', ':step', `:save ${bad}`), [
+      'error: cannot save "1", which isn\'t a valid expression name',
+    ]);
+    const [writeError] = session('a := 1', `:save ${dir}`);
+    assert(writeError.startsWith(`error: cannot write ${dir}: EISDIR`), writeError);
+    assert.deepStrictEqual(session(':load'), ['usage: :load file.sort']);
+    assert.deepStrictEqual(session(':save'), ['usage: :save file.sort']);
+  });
+});
@@ -0,0 +1,219 @@
+const assert = require('assert');
+
+const {parseSortleProgram} = require('../lib/parse');
+const {evaluate, runProgram, SortleInterpreter} = require('../lib/runtime');
+const {sortleNumber, sortleString} = require('../lib/values');
+
+// Evaluates the terms as the first expression of a program that also has
+// the given names, and returns the value.
+function evalTerms(terms, options = {}) {
+  const {strict = false, name = 'a', names = []} = options;
+  const code = [`${name} := ${terms}`, ...names.map(other => `${other} := ""`)].join('\n');
+  const program = parseSortleProgram(code, {strict});
+  const ip = program.findIndex(([exprName]) => exprName === name);
+  return evaluate(program[ip][1], program, ip, {strict});
+}
+
+// Runs a program, stopping it if it runs away.
+function run(code, options = {}) {
+  return runProgram(parseSortleProgram(code, options), {maxSteps: 1000, ...options});
+}
+
+// Runs the code, expecting an error, and returns it.
+function runError(code, options = {}) {
+  let error = null;
+  try {
+    run(code, options);
+  } catch (err) {
+    error = err;
+  }
+  assert(error, `expected an error from ${JSON.stringify(code)}`);
+  return error;
+}
+
+describe('values', () => {
+  it('turns 0, and only 0, into the empty string', () => {
+    assert.strictEqual(sortleString(0), '');
+    assert.strictEqual(sortleString(10), '10');
+    assert.strictEqual(sortleString('0'), '0');
+  });
+
+  it('turns strings into numbers by their leading digits', () => {
+    assert.strictEqual(sortleNumber('12x3'), 12);
+    assert.strictEqual(sortleNumber('x12'), 0);
+    assert.strictEqual(sortleNumber(''), 0);
+    assert.strictEqual(sortleNumber('4294967297', true), 1);
+  });
+});
+
+describe('operators', () => {
+  it('apply the top of the stack as their first operand', () => {
+    assert.strictEqual(evalTerms('2 7 /'), 3);
+    assert.strictEqual(evalTerms('3 7 %'), 1);
+    assert.strictEqual(evalTerms('"a" "b" ~'), 'ab');
+  });
+
+  it('add and multiply numbers', () => {
+    assert.strictEqual(evalTerms('2 3 +'), 5);
+    assert.strictEqual(evalTerms('"2x" "3" *'), 6);
+    assert.strictEqual(evalTerms('"x" 3 +'), 3);
+  });
+
+  it('give the greater string with ^ and $', () => {
+    assert.strictEqual(evalTerms('"abc" "abd" ^'), 'abd');
+    assert.strictEqual(evalTerms('"b" "abc" $'), 'b');
+    assert.strictEqual(evalTerms('10 9 ^'), '9');
+  });
+
+  it('treat 0 as the empty string', () => {
+    assert.strictEqual(evalTerms('0 "x" ~'), 'x');
+    assert.strictEqual(evalTerms('"x" 5 5 % ~'), 'x');
+    assert.strictEqual(evalTerms('0 "" ^'), '');
+  });
+
+  it('match regexes against other names with ? and an empty flag', () => {
+    const names = ['ant', 'bee', 'cat'];
+    assert.strictEqual(evalTerms('"b(.)!" "" ?', {names}), 'ee');
+    // Names are tried from the one before this expression, going back
+    assert.strictEqual(evalTerms('"..." "" ?', {name: 'bz', names}), 'bee');
+    assert.strictEqual(evalTerms('"z" "" ?', {names}), '');
+  });
+
+  it('match regexes against substrings of the own name with a flag', () => {
+    assert.strictEqual(evalTerms('"l(.)" "x" ?', {name: 'hello'}), 'l');
+    // 0 is an empty flag
+    assert.strictEqual(evalTerms('"h.." 0 ?', {name: 'hello', names: ['hey']}), 'hey');
+  });
+
+  it('divide by zero outside strict mode like JavaScript', () => {
+    assert.strictEqual(evalTerms('0 1 /'), Infinity);
+    assert(Number.isNaN(evalTerms('0 1 %')));
+  });
+
+  describe('in strict mode', () => {
+    it('wrap around modulo 2**32', () => {
+      assert.strictEqual(evalTerms('4294967295 2 +', {strict: true}), 1);
+      assert.strictEqual(evalTerms('65536 65536 *', {strict: true}), 0);
+      assert.strictEqual(evalTerms('4294967295 4294967295 *', {strict: true}), 1);
+    });
+
+    it('refuse to divide by zero', () => {
+      assert.throws(() => evalTerms('0 1 /', {strict: true}), /division by zero/);
+      assert.throws(() => evalTerms('"x" 1 %', {strict: true}), /division by zero/);
+    });
+  });
+});
+
+describe('runProgram', () => {
+  it('renames, deletes and clobbers expressions until one is left', () => {
+    assert.strictEqual(run('goodbye := ""\nhello := "hello"'), 'hello');
+    assert.strictEqual(run('a := "c"\nb := ""\nc := "not printed"'), 'c');
+    assert.strictEqual(run('a := 5 5 %\nb := 0 "ok" ~ 0 ~\nc := ""'), 'ok');
+  });
+
+  it('gives where a runtime error happened', () => {
+    const error = runError('a := ""\nb := 1 +\nc := ""');
+    assert.strictEqual(error.name, 'SortleRuntimeError');
+    assert.strictEqual(error.message, 'cannot execute +: need 2 elements on stack, have 1');
+    assert.strictEqual(error.expressionName, 'b');
+    assert.strictEqual(error.origName, 'b');
+    assert.strictEqual(error.step, 2);
+    assert.strictEqual(error.termIndex, 1);
+    assert.deepStrictEqual(error.span, {row: 1, col: 7, endRow: 1, endCol: 8});
+  });
+
+  it('requires each expression to leave one value on the stack', () => {
+    const error = runError('a := 1 2\nb := ""');
+    assert.strictEqual(error.name, 'SortleRuntimeError');
+    assert.strictEqual(error.message, 'stack must end with exactly 1 value, but ended with 2');
+    assert.deepStrictEqual(error.span, {row: 0, col: 0, endRow: 0, endCol: 8});
+  });
+
+  it('gives where a regex error happened', () => {
+    const error = runError('a := "[x" "" ?\nb := ""');
+    assert.strictEqual(error.name, 'SortleRegexError');
+    assert.strictEqual(error.regex, '[x');
+    assert.strictEqual(error.termIndex, 2);
+  });
+
+  it('stops at the step limit, with the state to resume from', () => {
+    const program = parseSortleProgram('a := "a"\nb := "b"');
+    let error = null;
+    try {
+      runProgram(program, {maxSteps: 10});
+    } catch (err) {
+      error = err;
+    }
+    assert.strictEqual(error.name, 'SortleLimitError');
+    assert.strictEqual(error.reason, 'steps');
+    assert.strictEqual(error.steps, 10);
+    assert.deepStrictEqual(error.state, {expressions: [['a', 0], ['b', 1]], ip: 0, steps: 10});
+  });
+
+  it('resumes from a saved state', () => {
+    const program = parseSortleProgram('a := "x"\nb := ""\nc := ""\nd := ""');
+    let state;
+    try {
+      runProgram(program, {maxSteps: 1});
+    } catch (err) {
+      state = err.state;
+    }
+    assert.strictEqual(state.steps, 1);
+    assert.strictEqual(runProgram(program, {state}), 'x');
+  });
+});
+
+describe('SortleInterpreter', () => {
+  it('records each step', () => {
+    const interpreter = new SortleInterpreter(parseSortleProgram('a := "c"\nb := ""\nc := "x"'));
+    const record = interpreter.step();
+    assert.strictEqual(record.oldName, 'a');
+    assert.strictEqual(record.newName, 'c');
+    assert.strictEqual(record.action, 'clobbered');
+    assert.strictEqual(record.clobberedId, 2);
+    assert.deepStrictEqual(record.stacks, [['c']]);
+    assert.deepStrictEqual(interpreter.expressions.map(([name, _terms, id]) => [name, id]), [
+      ['b', 1],
+      ['c', 0],
+    ]);
+  });
+
+  it('records the names each regex was matched against', () => {
+    const interpreter = new SortleInterpreter(parseSortleProgram('a := "b." "" ?\nab := ""\nba := ""\nc := ""'));
+    const {regexMatches} = interpreter.step();
+    // c doesn't begin with the regex's prefix, so is skipped
+    assert.deepStrictEqual(regexMatches, [{
+      regex: 'b.',
+      subject: null,
+      candidates: ['c', 'ba'],
+      skipped: [0],
+      matched: 'ba',
+      result: 'ba',
+    }]);
+  });
+
+  it('records names skipped by prefix in the order they would be tried', () => {
+    const interpreter = new SortleInterpreter(parseSortleProgram('b := "d" "" ?\nc := ""\nda := ""\ne := ""'));
+    const {regexMatches} = interpreter.step();
+    assert.deepStrictEqual(regexMatches[0].candidates, ['e', 'da', 'c']);
+    assert.deepStrictEqual(regexMatches[0].skipped, [0, 2]);
+    assert.strictEqual(regexMatches[0].matched, null);
+  });
+
+  it('undoes and redoes steps', () => {
+    const interpreter = new SortleInterpreter(parseSortleProgram('a := "d"\nb := "a"\nc := ""'));
+    const before = interpreter.saveState();
+    const record = interpreter.step();
+    const after = interpreter.saveState();
+    interpreter.undoStep(record);
+    assert.deepStrictEqual(interpreter.saveState(), before);
+    interpreter.redoStep(record);
+    assert.deepStrictEqual(interpreter.saveState(), after);
+  });
+
+  it('refuses to step once finished', () => {
+    const interpreter = new SortleInterpreter(parseSortleProgram('a := ""\nb := "b"'));
+    assert.strictEqual(interpreter.run(), 'b');
+    assert.throws(() => interpreter.step(), /already finished/);
+  });
+});
@@ -1,8 +1,11 @@
 module.exports = {
   cache: true,
-  entry: './src/main',
+  entry: {
+    'sortle-web': './src/main',
+    'sortle-worker': './src/worker',
+  },
   output: {
-    filename: './web/sortle-web.js'
+    filename: './web/[name].js'
   },
   module: {
     loaders: [
@@ -23,6 +26,10 @@ module.exports = {
         test: /\.css$/,
         loader: 'style-loader!css-loader',
       },
+      {
+        test: /\.sort$/,
+        loader: 'raw-loader',
+      },
     ],
   },
 };